@@ -0,0 +1,34 @@
+const express = require('express');
+const createApiRouter = require('./routes/api');
+
+/**
+ * Build the Express application around an application context
+ * @param {Object} context - Shared services from createContext()
+ * @returns {express.Application} Express app
+ */
+function createApp(context) {
+  const app = express();
+
+  // Basic middleware
+  app.use(express.json());
+  app.use('/api', createApiRouter(context));
+
+  app.get('/', (req, res) => {
+    res.json({
+      name: 'University ETL Service',
+      version: '1.0.0',
+      endpoints: {
+        health: '/api/health',
+        status: '/api/status',
+        runETL: '/api/etl/run',
+        downloadCSV: '/api/download/csv',
+        downloadJSON: '/api/download/json',
+        data: '/api/data'
+      }
+    });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
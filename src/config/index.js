@@ -2,6 +2,116 @@
  * Configuration settings for the University ETL Service
  */
 
+/**
+ * Parse the list of countries to extract
+ * @param {string} value - Comma-separated country names, or "all"
+ * @returns {Array<Object>} Country source entries
+ */
+function parseCountries(value) {
+  if (!value || value.trim() === '') {
+    return [{ name: 'United States' }];
+  }
+
+  if (value.trim().toLowerCase() === 'all') {
+    return [{ name: 'all', all: true }];
+  }
+
+  return value
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name !== '')
+    .map(name => ({ name }));
+}
+
+const COUNTRY_OPTIONS = ['timeout', 'retryAttempts', 'retryDelay'];
+
+/**
+ * Parse per-country request settings and attach them to the country entries
+ * @param {Array<Object>} countries - Entries from parseCountries()
+ * @param {string} value - JSON object keyed by country name, e.g. {"Canada":{"timeout":60000}}
+ * @returns {Array<Object>} Country entries with their timeout/retryAttempts/retryDelay overrides
+ */
+function parseCountryOptions(countries, value) {
+  if (!value || value.trim() === '') {
+    return countries;
+  }
+
+  let options;
+  try {
+    options = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid API_COUNTRY_OPTIONS: ${error.message}`);
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid API_COUNTRY_OPTIONS: expected an object keyed by country name');
+  }
+
+  for (const [name, settings] of Object.entries(options)) {
+    if (!countries.some(country => country.name === name)) {
+      throw new Error(`Invalid API_COUNTRY_OPTIONS: '${name}' is not in API_COUNTRIES`);
+    }
+
+    for (const [key, setting] of Object.entries(settings || {})) {
+      if (!COUNTRY_OPTIONS.includes(key)) {
+        throw new Error(`Invalid API_COUNTRY_OPTIONS: unknown setting '${key}' for '${name}'. Expected any of: ${COUNTRY_OPTIONS.join(', ')}`);
+      }
+      if (!Number.isInteger(setting) || setting < 1) {
+        throw new Error(`Invalid API_COUNTRY_OPTIONS: '${key}' for '${name}' must be a positive integer`);
+      }
+    }
+  }
+
+  return countries.map(country => ({ ...country, ...options[country.name] }));
+}
+
+/**
+ * Parse an integer setting, falling back when unset or malformed
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed integer
+ */
+function parseInteger(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Parse a source field mapping
+ * @param {string} value - Comma-separated "target=source.path" pairs
+ * @returns {Object} Mapping of Hipolabs field names to source paths
+ */
+function parseMapping(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((mapping, pair) => {
+    const [target, sourcePath] = pair.split('=').map(part => part && part.trim());
+    if (target && sourcePath) {
+      mapping[target] = sourcePath;
+    }
+    return mapping;
+  }, {});
+}
+
+/**
+ * Parse the column delimiter of a CSV source
+ * @param {string} value - A single character, or "tab"
+ * @returns {string|undefined} Delimiter, or undefined to use the source default
+ */
+function parseDelimiter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const delimiter = value === 'tab' ? '\t' : value;
+  if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`Invalid SOURCE_DELIMITER '${value}': expected a single character or "tab"`);
+  }
+  return delimiter;
+}
+
 const config = {
   // Server configuration
   server: {
@@ -12,24 +122,80 @@ const config = {
 
   // API configuration
   api: {
-    universitiesUrl: 'http://universities.hipolabs.com/search?country=United+States',
+    universitiesUrl: 'http://universities.hipolabs.com/search',
+    // Each entry may override timeout/retryAttempts/retryDelay for that country (API_COUNTRY_OPTIONS)
+    countries: parseCountryOptions(parseCountries(process.env.API_COUNTRIES), process.env.API_COUNTRY_OPTIONS),
     timeout: 30000, // 30 seconds
     retryAttempts: 3,
     retryDelay: 1000, // 1 second initial delay
     maxRetryDelay: 10000 // 10 seconds max delay
   },
 
+  // Extraction source: hipolabs | json-file | csv-file | http-json
+  source: {
+    type: process.env.SOURCE_TYPE || 'hipolabs',
+    path: process.env.SOURCE_PATH,
+    url: process.env.SOURCE_URL,
+    dataPath: process.env.SOURCE_DATA_PATH,
+    mapping: parseMapping(process.env.SOURCE_FIELD_MAPPING),
+    // csv-file only
+    delimiter: parseDelimiter(process.env.SOURCE_DELIMITER),
+    arraySeparator: process.env.SOURCE_ARRAY_SEPARATOR || undefined
+  },
+
   // Data storage configuration
   storage: {
+    type: process.env.STORAGE_TYPE || 'file', // file | sqlite
     dataDir: './data',
     jsonFile: 'universities.json',
+    sqliteFile: process.env.SQLITE_FILE || 'universities.db',
     csvFile: 'universities.csv',
-    backupDir: './data/backups'
+    manifestFile: 'manifest.json',
+    idRegistryFile: 'id-registry.json',
+    quarantineFile: 'quarantine.json',
+    overridesFile: 'overrides.json',
+    historyFile: 'runs.jsonl',
+    backupDir: './data/backups',
+    // Backups beyond the newest keepLast or older than keepDays are deleted (0 disables)
+    backupRetention: {
+      keepLast: parseInteger(process.env.BACKUP_KEEP_LAST, 30),
+      keepDays: parseInteger(process.env.BACKUP_KEEP_DAYS, 0)
+    },
+    changesDir: './data/changes',
+    archiveDir: './data/archive',
+    // Raw payload archives, same rules as backupRetention
+    archiveRetention: {
+      keepLast: parseInteger(process.env.ARCHIVE_KEEP_LAST, 30),
+      keepDays: parseInteger(process.env.ARCHIVE_KEEP_DAYS, 0)
+    }
+  },
+
+  // Data quality rules: severity overrides ("domainSyntax=error,usState=off") and limits
+  quality: {
+    rules: parseMapping(process.env.QUALITY_RULES),
+    nameLength: {
+      min: parseInteger(process.env.QUALITY_NAME_MIN_LENGTH, 2),
+      max: parseInteger(process.env.QUALITY_NAME_MAX_LENGTH, 200)
+    },
+    duplicates: {
+      idCollisions: process.env.DUPLICATE_ID_POLICY || 'merge', // merge | flag
+      nearDuplicates: process.env.NEAR_DUPLICATE_POLICY || 'flag', // flag | merge | off
+      nameSimilarity: Number(process.env.NEAR_DUPLICATE_SIMILARITY) || 0.92
+    }
+  },
+
+  // Guards that keep a bad run from replacing the published dataset (0 disables a limit)
+  publication: {
+    minRecords: parseInteger(process.env.PUBLISH_MIN_RECORDS, 1),
+    maxDropPercent: parseInteger(process.env.PUBLISH_MAX_DROP_PERCENT, 25),
+    maxErrorPercent: parseInteger(process.env.PUBLISH_MAX_ERROR_PERCENT, 10),
+    schemaDrift: process.env.PUBLISH_SCHEMA_DRIFT || 'missing' // missing | any | off
   },
 
   scheduler: {
-    cron: '0 0 * * *', // midnight UTC
-    timezone: 'UTC'
+    cron: process.env.CRON_EXPRESSION || '0 0 * * *', // midnight UTC
+    timezone: process.env.TIMEZONE || 'UTC',
+    nextExecutions: 5 // upcoming runs reported in status
   },
 
   // Logging configuration
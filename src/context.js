@@ -0,0 +1,27 @@
+/**
+ * Application context - The single set of service instances shared by the
+ * HTTP layer and the scheduler
+ */
+
+const ETLService = require('./services/etlService');
+const SchedulerService = require('./services/schedulerService');
+const JobService = require('./services/jobService');
+const UniversityService = require('./services/universityService');
+
+/**
+ * Create the application context
+ * @param {Object} overrides - Pre-built services, mainly for tests
+ * @returns {Object} Context with etl, scheduler, jobs and universities
+ */
+function createContext(overrides = {}) {
+  const etl = overrides.etl || new ETLService();
+  const scheduler = overrides.scheduler || new SchedulerService({ etl });
+  const jobs = overrides.jobs || new JobService({ scheduler });
+  const universities = overrides.universities || new UniversityService({ dataset: etl.dataset });
+
+  return { etl, scheduler, jobs, universities };
+}
+
+module.exports = {
+  createContext
+};
@@ -0,0 +1,47 @@
+/**
+ * Columnar export - Parquet-style JSON layout with one array per column
+ *
+ * {
+ *   "format": "columnar", "version": 1, "rowCount": 2,
+ *   "schema": [{ "name": "id", "type": "string" }, ...],
+ *   "columns": { "id": ["a", "b"], ... }
+ * }
+ */
+
+const { resolveColumns, getValue } = require('./schema');
+
+/**
+ * Generate the columnar document one column at a time
+ * @param {Array<Object>} records - Transformed records (iterated once per column)
+ * @param {Object} options - Export options (columns)
+ * @returns {Generator<string>} JSON chunks
+ */
+function* columnarChunks(records, options = {}) {
+  const columns = resolveColumns(options.columns);
+  const schema = columns.map(column => ({
+    name: column.name,
+    type: column.type === 'array' ? 'list<string>' : 'string',
+    nullable: column.type !== 'array'
+  }));
+
+  yield `{"format":"columnar","version":1,"rowCount":${records.length},"schema":${JSON.stringify(schema)},"columns":{`;
+
+  for (let i = 0; i < columns.length; i++) {
+    const column = columns[i];
+    yield `${i > 0 ? ',' : ''}${JSON.stringify(column.name)}:[`;
+
+    let first = true;
+    for (const record of records) {
+      yield `${first ? '' : ','}${JSON.stringify(getValue(record, column))}`;
+      first = false;
+    }
+
+    yield ']';
+  }
+
+  yield '}}';
+}
+
+module.exports = {
+  columnarChunks
+};
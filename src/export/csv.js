@@ -0,0 +1,116 @@
+/**
+ * CSV export - Serialises records according to the export schema
+ */
+
+const { resolveColumns, getValue } = require('./schema');
+const { ValidationError } = require('../utils/errors');
+
+const DELIMITERS = {
+  ',': ',',
+  ';': ';',
+  '|': '|',
+  'tab': '\t',
+  '\t': '\t'
+};
+
+const DEFAULT_OPTIONS = {
+  columns: undefined,
+  delimiter: ',',
+  arraySeparator: ';',
+  bom: false
+};
+
+/**
+ * Quote a cell when it contains the delimiter, a quote or a line break
+ * @param {string} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value, delimiter) {
+  if (value.includes(delimiter) || value.includes('"') || value.includes('\n') || value.includes('\r')) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Format one record as a CSV line (without line terminator)
+ */
+function formatRow(record, columns, { delimiter, arraySeparator }) {
+  return columns.map(column => {
+    const value = getValue(record, column);
+    const text = Array.isArray(value) ? value.join(arraySeparator) : (value === null ? '' : String(value));
+    return escapeCell(text, delimiter);
+  }).join(delimiter);
+}
+
+/**
+ * Generate CSV text chunk by chunk: the header first, then one line per record
+ * @param {Iterable<Object>} records - Transformed records
+ * @param {Object} options - CSV options (columns, delimiter, arraySeparator, bom)
+ * @returns {Generator<string>} CSV chunks
+ */
+function* csvChunks(records, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const columns = resolveColumns(settings.columns);
+
+  yield `${settings.bom ? '\uFEFF' : ''}${columns.map(column => escapeCell(column.name, settings.delimiter)).join(settings.delimiter)}`;
+
+  for (const record of records) {
+    yield `\n${formatRow(record, columns, settings)}`;
+  }
+}
+
+/**
+ * Serialise records to a CSV string
+ * @param {Array<Object>} records - Transformed records
+ * @param {Object} options - CSV options (columns, delimiter, arraySeparator, bom)
+ * @returns {string} CSV text
+ */
+function toCsv(records, options = {}) {
+  return [...csvChunks(records, options)].join('');
+}
+
+/**
+ * Validate CSV options from query string parameters
+ * @param {Object} query - Query parameters (columns, delimiter, arraySeparator, bom)
+ * @returns {Object} CSV options
+ */
+function parseCsvOptions(query = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (query.columns !== undefined) {
+    options.columns = resolveColumns(query.columns).map(column => column.name);
+  }
+
+  if (query.delimiter !== undefined) {
+    options.delimiter = DELIMITERS[query.delimiter];
+    if (!options.delimiter) {
+      throw new ValidationError(`Invalid delimiter '${query.delimiter}'. Expected one of: , ; | tab`);
+    }
+  }
+
+  if (query.arraySeparator !== undefined) {
+    const separator = String(query.arraySeparator);
+    if (separator === '' || separator.length > 3 || /["\r\n]/.test(separator)) {
+      throw new ValidationError(`Invalid arraySeparator '${separator}'. Expected 1-3 characters without quotes or line breaks`);
+    }
+    options.arraySeparator = separator;
+  }
+
+  if (query.bom !== undefined) {
+    if (!['true', 'false', '1', '0'].includes(String(query.bom))) {
+      throw new ValidationError(`Invalid bom '${query.bom}'. Expected true or false`);
+    }
+    options.bom = ['true', '1'].includes(String(query.bom));
+  }
+
+  return options;
+}
+
+module.exports = {
+  csvChunks,
+  toCsv,
+  parseCsvOptions,
+  escapeCell
+};
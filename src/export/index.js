@@ -0,0 +1,131 @@
+/**
+ * Export format registry and content negotiation
+ */
+
+const { resolveColumns } = require('./schema');
+const { csvChunks, parseCsvOptions } = require('./csv');
+const { jsonChunks } = require('./json');
+const { ndjsonChunks } = require('./ndjson');
+const { xmlChunks } = require('./xml');
+const { columnarChunks } = require('./columnar');
+const { writeXlsx } = require('./xlsx');
+const { AppError, ValidationError } = require('../utils/errors');
+
+/**
+ * Query parameters every format accepts as export options
+ */
+const COMMON_OPTIONS = ['columns'];
+
+/**
+ * Text formats yield chunks (chunks); binary formats write to a stream (write).
+ * Formats with their own parseOptions list the parameters it reads (options).
+ */
+const FORMATS = {
+  csv: {
+    mediaType: 'text/csv',
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    parseOptions: parseCsvOptions,
+    options: ['columns', 'delimiter', 'arraySeparator', 'bom'],
+    chunks: csvChunks
+  },
+  json: {
+    mediaType: 'application/json',
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    chunks: jsonChunks
+  },
+  ndjson: {
+    mediaType: 'application/x-ndjson',
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    chunks: ndjsonChunks
+  },
+  xml: {
+    mediaType: 'application/xml',
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    chunks: xmlChunks
+  },
+  columnar: {
+    mediaType: 'application/vnd.university-etl.columnar+json',
+    contentType: 'application/vnd.university-etl.columnar+json; charset=utf-8',
+    extension: 'columnar.json',
+    chunks: columnarChunks
+  },
+  xlsx: {
+    mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: writeXlsx
+  }
+};
+
+/**
+ * Look up a format by name
+ * @param {string} name - Format name
+ * @returns {Object} Format definition with its name
+ */
+function getFormat(name) {
+  const format = FORMATS[String(name).toLowerCase()];
+  if (!format) {
+    throw new ValidationError(`Unknown format '${name}'. Expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return { name: String(name).toLowerCase(), ...format };
+}
+
+/**
+ * Pick the export format from an explicit name or the request's Accept header
+ * @param {express.Request} req - Request
+ * @param {string} [name] - Explicit format (path or `format` parameter)
+ * @returns {Object} Format definition with its name
+ */
+function negotiateFormat(req, name) {
+  if (name) {
+    return getFormat(name);
+  }
+
+  const entries = Object.entries(FORMATS);
+  const accepted = req.accepts(entries.map(([, format]) => format.mediaType));
+  if (!accepted) {
+    throw new AppError(
+      `Not acceptable. Supported media types: ${entries.map(([, format]) => format.mediaType).join(', ')}`,
+      406
+    );
+  }
+
+  return getFormat(entries.find(([, format]) => format.mediaType === accepted)[0]);
+}
+
+/**
+ * Names of the query parameters a format accepts as export options
+ * @param {Object} format - Format definition
+ * @returns {Array<string>} Option names
+ */
+function exportOptionNames(format) {
+  return format.options || COMMON_OPTIONS;
+}
+
+/**
+ * Validate export options for a format
+ * @param {Object} format - Format definition
+ * @param {Object} query - Query parameters
+ * @returns {Object} Export options
+ */
+function parseExportOptions(format, query = {}) {
+  if (format.parseOptions) {
+    return format.parseOptions(query);
+  }
+
+  return {
+    columns: query.columns !== undefined ? resolveColumns(query.columns).map(column => column.name) : undefined
+  };
+}
+
+module.exports = {
+  FORMATS,
+  getFormat,
+  negotiateFormat,
+  exportOptionNames,
+  parseExportOptions
+};
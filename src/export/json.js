@@ -0,0 +1,30 @@
+/**
+ * JSON export - The { data, metadata } document written record by record
+ */
+
+const { resolveColumns, projectRecord } = require('./schema');
+
+/**
+ * Generate a JSON document chunk by chunk
+ * @param {Iterable<Object>} records - Transformed records
+ * @param {Object} options - Export options (columns)
+ * @param {Object} [metadata] - Dataset metadata written after the records
+ * @returns {Generator<string>} JSON chunks
+ */
+function* jsonChunks(records, options = {}, metadata = {}) {
+  const columns = options.columns ? resolveColumns(options.columns) : null;
+
+  yield '{"data":[';
+
+  let first = true;
+  for (const record of records) {
+    yield `${first ? '' : ','}${JSON.stringify(columns ? projectRecord(record, columns) : record)}`;
+    first = false;
+  }
+
+  yield `],"metadata":${JSON.stringify(metadata)}}`;
+}
+
+module.exports = {
+  jsonChunks
+};
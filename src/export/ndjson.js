@@ -0,0 +1,23 @@
+/**
+ * NDJSON export - One JSON object per line
+ */
+
+const { resolveColumns, projectRecord } = require('./schema');
+
+/**
+ * Generate NDJSON lines
+ * @param {Iterable<Object>} records - Transformed records
+ * @param {Object} options - Export options (columns)
+ * @returns {Generator<string>} One line per record
+ */
+function* ndjsonChunks(records, options = {}) {
+  const columns = resolveColumns(options.columns);
+
+  for (const record of records) {
+    yield `${JSON.stringify(projectRecord(record, columns))}\n`;
+  }
+}
+
+module.exports = {
+  ndjsonChunks
+};
@@ -0,0 +1,79 @@
+/**
+ * Export schema - Maps transformed record fields to export columns
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const COLUMNS = [
+  { name: 'id', field: 'id', type: 'string' },
+  { name: 'name', field: 'name', type: 'string' },
+  { name: 'country', field: 'country', type: 'string' },
+  { name: 'alphaCode', field: 'alphaCode', type: 'string' },
+  { name: 'stateProvince', field: 'stateProvince', type: 'string' },
+  { name: 'domains', field: 'domains', type: 'array', item: 'domain' },
+  { name: 'webPages', field: 'webPages', type: 'array', item: 'webPage' },
+  { name: 'lastUpdated', field: 'lastUpdated', type: 'string' }
+];
+
+/**
+ * Resolve requested column names against the schema, keeping the caller's order
+ * @param {Array<string>|string} [names] - Column names, comma-separated string or array; all columns when omitted
+ * @returns {Array<Object>} Column definitions
+ */
+function resolveColumns(names) {
+  if (names === undefined || names === null) {
+    return COLUMNS;
+  }
+
+  const requested = (Array.isArray(names) ? names : String(names).split(','))
+    .map(name => name.trim())
+    .filter(name => name !== '');
+
+  if (requested.length === 0) {
+    throw new ValidationError('At least one column must be selected');
+  }
+
+  const unknown = requested.filter(name => !COLUMNS.some(column => column.name === name));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown column(s) '${unknown.join(', ')}'. Expected any of: ${COLUMNS.map(column => column.name).join(', ')}`
+    );
+  }
+
+  return [...new Set(requested)].map(name => COLUMNS.find(column => column.name === name));
+}
+
+/**
+ * Read a column value from a record
+ * @param {Object} record - Transformed record
+ * @param {Object} column - Column definition
+ * @returns {*} Value, null when absent
+ */
+function getValue(record, column) {
+  const value = record[column.field];
+  if (value === undefined || value === null) {
+    return column.type === 'array' ? [] : null;
+  }
+  return value;
+}
+
+/**
+ * Build the exported representation of a record
+ * @param {Object} record - Transformed record
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {Object} Object keyed by column name
+ */
+function projectRecord(record, columns) {
+  const projected = {};
+  for (const column of columns) {
+    projected[column.name] = getValue(record, column);
+  }
+  return projected;
+}
+
+module.exports = {
+  COLUMNS,
+  resolveColumns,
+  getValue,
+  projectRecord
+};
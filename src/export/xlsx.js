@@ -0,0 +1,98 @@
+/**
+ * XLSX export - Single worksheet workbook built with exceljs
+ */
+
+const ExcelJS = require('exceljs');
+const { resolveColumns, getValue } = require('./schema');
+
+const ARRAY_SEPARATOR = '; ';
+// Rows committed between yields, so the zip stream can hand them to the destination
+const ROWS_PER_FLUSH = 500;
+
+/**
+ * Wait until a writable stream has drained its buffer
+ * @param {stream.Writable} stream - Destination
+ * @returns {Promise<void>} Rejects if the stream closes first
+ */
+function drained(stream) {
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Stream closed before the workbook was written'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Stream closed before the workbook was written'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Add the universities worksheet to a workbook, pausing while the destination
+ * stream is full
+ * @param {ExcelJS.stream.xlsx.WorkbookWriter} workbook - Streaming workbook to fill
+ * @param {Iterable<Object>} records - Transformed records
+ * @param {Object} options - Export options (columns)
+ * @param {stream.Writable} stream - Destination the workbook writes to
+ * @returns {Promise<ExcelJS.Worksheet>} Worksheet
+ */
+async function addUniversitySheet(workbook, records, options = {}, stream) {
+  const columns = resolveColumns(options.columns);
+  const sheet = workbook.addWorksheet('Universities', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(column => ({
+    header: column.name,
+    key: column.name,
+    width: column.type === 'array' ? 40 : 24
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  let count = 0;
+  for (const record of records) {
+    const row = {};
+    for (const column of columns) {
+      const value = getValue(record, column);
+      row[column.name] = Array.isArray(value) ? value.join(ARRAY_SEPARATOR) : value;
+    }
+    // Flush the row to the stream so the workbook is never held in memory
+    sheet.addRow(row).commit();
+
+    if (++count % ROWS_PER_FLUSH === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (stream.writableNeedDrain) {
+      await drained(stream);
+    }
+  }
+
+  return sheet;
+}
+
+/**
+ * Stream an XLSX workbook to a writable stream, committing rows as they are
+ * added and waiting for the stream to drain when it is full
+ * @param {Array<Object>} records - Transformed records
+ * @param {Object} options - Export options (columns)
+ * @param {stream.Writable} stream - Destination, ended once the workbook is complete
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(records, options, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  workbook.creator = 'University ETL Service';
+  const sheet = await addUniversitySheet(workbook, records, options, stream);
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  writeXlsx,
+  addUniversitySheet
+};
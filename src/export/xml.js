@@ -0,0 +1,61 @@
+/**
+ * XML export - <universities><university>...</university></universities>
+ */
+
+const { resolveColumns, getValue } = require('./schema');
+
+// Characters that are not allowed anywhere in an XML 1.0 document
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatElement(record, column) {
+  const value = getValue(record, column);
+
+  if (column.type === 'array') {
+    const items = value.map(item => `<${column.item}>${escapeXml(item)}</${column.item}>`).join('');
+    return `<${column.name}>${items}</${column.name}>`;
+  }
+
+  if (value === null) {
+    return `<${column.name}/>`;
+  }
+
+  return `<${column.name}>${escapeXml(value)}</${column.name}>`;
+}
+
+/**
+ * Generate an XML document chunk by chunk
+ * @param {Iterable<Object>} records - Transformed records
+ * @param {Object} options - Export options (columns)
+ * @returns {Generator<string>} XML chunks
+ */
+function* xmlChunks(records, options = {}) {
+  const columns = resolveColumns(options.columns);
+
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<universities>\n';
+
+  for (const record of records) {
+    yield `  <university>${columns.map(column => formatElement(record, column)).join('')}</university>\n`;
+  }
+
+  yield '</universities>\n';
+}
+
+module.exports = {
+  xmlChunks,
+  escapeXml
+};
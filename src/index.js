@@ -1,43 +1,34 @@
-const express = require('express');
 const logger = require('./utils/logger');
 const config = require('./config');
-const apiRoutes = require('./routes/api');
-const SchedulerService = require('./services/schedulerService');
+const createApp = require('./app');
+const { createContext } = require('./context');
 
-const app = express();
-const scheduler = new SchedulerService();
+const context = createContext();
+const app = createApp(context);
 
-// Basic middleware
-app.use(express.json());
-app.use('/api', apiRoutes);
+let server;
 
-app.get('/', (req, res) => {
-  res.json({
-    name: 'University ETL Service',
-    version: '1.0.0',
-    endpoints: {
-      health: '/api/health',
-      status: '/api/status',
-      runETL: '/api/etl/run',
-      downloadCSV: '/api/download/csv',
-      downloadJSON: '/api/download/json',
-      data: '/api/data'
-    }
-  });
-});
-
-// Start scheduler
-scheduler.start();
+// Check the stored dataset before serving it
+context.etl.load.recover()
+  .then(result => logger.info(`Storage check: ${result.status}`))
+  .catch(error => logger.error(`Storage check failed: ${error.message}`))
+  .then(() => {
+    // Start scheduler
+    context.scheduler.start();
 
-// Start server
-const server = app.listen(config.server.port, () => {
-  logger.info(`Server running on port ${config.server.port}`);
-});
+    // Start server
+    server = app.listen(config.server.port, () => {
+      logger.info(`Server running on port ${config.server.port}`);
+    });
+  });
 
 // Gracefully shutdown
 process.on('SIGTERM', () => {
   logger.info('Shutting down...');
-  scheduler.stop();
+  context.scheduler.stop();
+  if (!server) {
+    process.exit(0);
+  }
   server.close(() => {
     process.exit(0);
   });
@@ -0,0 +1,34 @@
+/**
+ * Content fingerprints for raw source records
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialise a value with object keys sorted, so equal content gives equal text
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Identify a raw record by its content
+ * @param {*} record - Raw record as extracted
+ * @returns {string} 16 hex characters
+ */
+function fingerprint(record) {
+  return crypto.createHash('sha256').update(canonicalJson(record)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  canonicalJson,
+  fingerprint
+};
@@ -0,0 +1,119 @@
+/**
+ * Data quality rules applied to transformed records
+ *
+ * Each rule has a default severity and a check(record, options) that returns
+ * a message describing the problem, or null when the record passes. Rules that
+ * only make sense for some records (e.g. usState) pass the others.
+ */
+
+const { isAlphaCode, countryMatchesCode } = require('./iso3166');
+const { isUsState } = require('./usStates');
+
+const LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const TLD = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/**
+ * Whether a value is a syntactically valid host name with at least two labels
+ * @param {string} domain - Lower-cased domain
+ * @returns {boolean}
+ */
+function isValidDomain(domain) {
+  if (typeof domain !== 'string' || domain.length > 253) {
+    return false;
+  }
+
+  const labels = domain.split('.');
+  return labels.length >= 2 && labels.every(label => LABEL.test(label)) && TLD.test(labels[labels.length - 1]);
+}
+
+/**
+ * Whether a value is an absolute http(s) URL on a valid host
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+function isValidWebPage(value) {
+  if (typeof value !== 'string' || /\s/.test(value)) {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && isValidDomain(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+const RULES = [
+  {
+    name: 'domainSyntax',
+    description: 'Every domain is a valid host name',
+    severity: 'warning',
+    check(record) {
+      const invalid = record.domains.filter(domain => !isValidDomain(domain));
+      return invalid.length > 0 ? `Invalid domain(s): ${invalid.join(', ')}` : null;
+    }
+  },
+  {
+    name: 'webPageUrl',
+    description: 'Every web page is a well-formed http(s) URL',
+    severity: 'warning',
+    check(record) {
+      const invalid = record.webPages.filter(url => !isValidWebPage(url));
+      return invalid.length > 0 ? `Invalid web page URL(s): ${invalid.join(', ')}` : null;
+    }
+  },
+  {
+    name: 'alphaCode',
+    description: 'alphaCode is an ISO 3166-1 alpha-2 code',
+    severity: 'warning',
+    check(record) {
+      if (record.alphaCode === null) {
+        return null;
+      }
+      return isAlphaCode(record.alphaCode) ? null : `Unknown ISO 3166 alpha-2 code '${record.alphaCode}'`;
+    }
+  },
+  {
+    name: 'alphaCodeCountry',
+    description: 'country is a name of the country identified by alphaCode',
+    severity: 'warning',
+    check(record) {
+      if (record.alphaCode === null || !isAlphaCode(record.alphaCode)) {
+        return null;
+      }
+      return countryMatchesCode(record.alphaCode, record.country)
+        ? null
+        : `Country '${record.country}' does not match alpha-2 code '${record.alphaCode}'`;
+    }
+  },
+  {
+    name: 'usState',
+    description: 'stateProvince of US universities is a US state or territory',
+    severity: 'warning',
+    check(record) {
+      if (String(record.alphaCode).toUpperCase() !== 'US' || record.stateProvince === null) {
+        return null;
+      }
+      return isUsState(record.stateProvince) ? null : `Unknown US state '${record.stateProvince}'`;
+    }
+  },
+  {
+    name: 'nameLength',
+    description: 'name length is within the configured limits',
+    severity: 'error',
+    check(record, { nameLength }) {
+      const { length } = record.name;
+      if (length < nameLength.min || length > nameLength.max) {
+        return `Name length ${length} outside ${nameLength.min}-${nameLength.max} characters`;
+      }
+      return null;
+    }
+  }
+];
+
+module.exports = {
+  RULES,
+  isValidDomain,
+  isValidWebPage
+};
@@ -0,0 +1,74 @@
+/**
+ * Name similarity helpers for near-duplicate detection
+ */
+
+// Words too common in institution names to say anything about identity
+const STOPWORDS = new Set([
+  'the', 'of', 'and', 'for', 'in', 'at', 'de', 'la', 'del', 'di', 'des', 'du', 'y', 'e',
+  'university', 'universidad', 'universite', 'universita', 'universitat', 'universidade',
+  'college', 'institute', 'school', 'academy', 'state', 'national', 'community', 'technical'
+]);
+
+/**
+ * Fold case, accents, punctuation and '&' so name variants compare equal
+ * @param {string} name - Institution name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+}
+
+/**
+ * Distinctive words of a normalized name, used to pick comparison candidates
+ * @param {string} normalized - Name from normalizeName()
+ * @returns {Array<string>} Tokens
+ */
+function significantTokens(normalized) {
+  return [...new Set(normalized.split(' ').filter(token => token.length >= 3 && !STOPWORDS.has(token)))];
+}
+
+function bigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Sorensen-Dice coefficient over character bigrams
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity from 0 to 1
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let shared = 0;
+  for (const [bigram, count] of first) {
+    shared += Math.min(count, second.get(bigram) || 0);
+  }
+
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+module.exports = {
+  normalizeName,
+  significantTokens,
+  similarity
+};
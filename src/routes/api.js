@@ -1,128 +1,496 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
-const ETLService = require('../services/etlService');
-const SchedulerService = require('../services/schedulerService');
-const logger = require('../utils/logger');
+const { createReadStream } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const config = require('../config');
+const logger = require('../utils/logger');
+const QueryService = require('../services/queryService');
+const { negotiateFormat, exportOptionNames, parseExportOptions } = require('../export');
+const { ValidationError } = require('../utils/errors');
 
-const router = express.Router();
-const etl = new ETLService();
-const scheduler = new SchedulerService();
+const DUPLICATE_FILTERS = {
+  type: ['exact', 'idCollision', 'nearDuplicate'],
+  action: ['removed', 'merged', 'flagged']
+};
 
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+/**
+ * Split query parameters into the listed keys (pick) and the rest (omit)
+ */
+function pick(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => keys.includes(key)));
+}
 
-router.get('/status', async (req, res) => {
-  try {
-    const etlStatus = await etl.getStatus();
-    const schedulerStatus = scheduler.getStatus();
-    
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Set cache validators for the published dataset and report whether the
+ * client's copy is still current. A variant (such as the export format)
+ * gives each representation of the same URL its own ETag.
+ */
+function isNotModified(req, res, entry, variant) {
+  res.set('ETag', variant ? entry.etag.replace(/"$/, `-${variant}"`) : entry.etag);
+  res.set('Last-Modified', entry.lastModified.toUTCString());
+  return req.fresh;
+}
+
+/**
+ * Create the API router
+ * @param {Object} context - Shared services from createContext()
+ * @param {ETLService} context.etl - ETL service
+ * @param {SchedulerService} context.scheduler - Scheduler owning the cron job
+ * @param {JobService} context.jobs - Background manual runs
+ * @param {UniversityService} context.universities - Indexed single-record lookups
+ * @returns {express.Router} API router
+ */
+function createApiRouter({ etl, scheduler, jobs, universities }) {
+  const router = express.Router();
+  const queries = new QueryService();
+
+  router.get('/health', (req, res) => {
     res.json({
-      etl: etlStatus,
-      scheduler: schedulerStatus
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
     });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.post('/etl/run', async (req, res) => {
-  try {
-    const result = await scheduler.runManual();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json(error);
-  }
-});
-
-router.get('/etl/history', (req, res) => {
-  res.json(scheduler.getStatus().history);
-});
-
-router.get('/download/csv', async (req, res) => {
-  try {
-    const csvPath = path.join(config.storage.dataDir, config.storage.csvFile);
+  });
+
+  router.get('/status', async (req, res) => {
+    try {
+      const etlStatus = await etl.getStatus();
+      const schedulerStatus = await scheduler.getStatus();
     
+      res.json({
+        etl: etlStatus,
+        scheduler: schedulerStatus
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/etl/run', (req, res) => {
+    try {
+      const job = jobs.enqueue();
+      res.status(202)
+        .location(`${req.baseUrl}/etl/jobs/${job.id}`)
+        .json(job);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Run transform and load against an archived raw payload, without extracting
+  router.post('/etl/reprocess', async (req, res) => {
+    try {
+      const { runId } = req.body || {};
+      if (typeof runId !== 'string' || runId === '') {
+        throw new ValidationError('runId of the run whose archived payload should be reprocessed is required');
+      }
+
+      await etl.archive.get(runId);
+      const job = jobs.enqueue({ archive: runId });
+      res.status(202)
+        .location(`${req.baseUrl}/etl/jobs/${job.id}`)
+        .json(job);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/etl/archives', async (req, res) => {
+    try {
+      const archives = await etl.archive.list();
+      res.json({
+        total: archives.length,
+        retention: {
+          keepLast: etl.archive.keepLast,
+          keepDays: etl.archive.keepDays
+        },
+        archives
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/etl/archives/:runId', async (req, res) => {
+    try {
+      res.json(await etl.archive.get(req.params.runId));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Server-Sent Events stream of live ETL progress
+  router.get('/etl/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let eventId = 0;
+    const send = event => {
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    etl.on('event', send);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      etl.off('event', send);
+    });
+  });
+
+  router.get('/etl/jobs', (req, res) => {
+    res.json(jobs.list());
+  });
+
+  router.get('/etl/jobs/:id', (req, res) => {
+    try {
+      res.json(jobs.get(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.post('/etl/jobs/:id/cancel', (req, res) => {
     try {
-      await fs.access(csvPath);
+      res.json(jobs.cancel(req.params.id));
     } catch (error) {
-      // Generate CSV if it does not exist
-      const data = await etl.load.readData();
-      if (!data) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/etl/history', async (req, res) => {
+    try {
+      res.json(await etl.history.query(req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/etl/runs/:id/changes', async (req, res) => {
+    try {
+      const report = await etl.changes.get(req.params.id);
+      if (!report) {
+        return res.status(404).json({ error: `No change report for run ${req.params.id}` });
+      }
+
+      res.json(report);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Any export format, chosen by path, `?format=` or the Accept header.
+  // Accepts the /api/data filters and streams the matching records.
+  router.get(['/download', '/download/:format'], async (req, res) => {
+    try {
+      const requested = req.params.format || req.query.format;
+      if (!requested) {
+        res.vary('Accept');
+      }
+
+      const format = negotiateFormat(req, requested);
+      // Downloads take the /api/data filters but are never paged
+      const { filters } = queries.parse(req.query, {
+        allow: ['format', ...exportOptionNames(format)],
+        paging: false
+      });
+      const query = omit(req.query, ['format']);
+      const filterQuery = pick(query, QueryService.FILTER_PARAMS);
+      const options = parseExportOptions(format, omit(query, QueryService.FILTER_PARAMS));
+      const filtered = Object.keys(filters).length > 0;
+
+      const entry = await etl.dataset.get();
+      if (!entry) {
         return res.status(404).json({ error: 'No data available' });
       }
-      await etl.load.generateCsv(data.data);
+
+      if (isNotModified(req, res, entry, format.name)) {
+        return res.status(304).end();
+      }
+
+      const filename = `universities-${new Date().toISOString().split('T')[0]}.${format.extension}`;
+      res.setHeader('Content-Type', format.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      // The pre-generated file only covers the default CSV export
+      if (format.name === 'csv' && Object.keys(query).length === 0) {
+        const csvPath = path.join(config.storage.dataDir, config.storage.csvFile);
+        try {
+          await fs.access(csvPath);
+        } catch (error) {
+          // Generate CSV if it does not exist
+          await etl.load.generateCsv(entry.data.data);
+        }
+        return await pipeline(createReadStream(csvPath), res);
+      }
+
+      const records = filtered ? queries.filter(entry.data.data, filters) : entry.data.data;
+      const metadata = filtered
+        ? { ...entry.data.metadata, filters: filterQuery, filteredRecords: records.length }
+        : entry.data.metadata;
+
+      if (format.write) {
+        return await format.write(records, options, res);
+      }
+
+      await pipeline(Readable.from(format.chunks(records, options, metadata)), res);
+    } catch (error) {
+      if (res.headersSent) {
+        // Too late for an error body; cut the download short instead
+        logger.warn(`Download aborted: ${error.message}`);
+        return res.destroy(error);
+      }
+      res.status(error.status || 500).json({ error: error.message });
     }
+  });
 
-    const filename = `universities-${new Date().toISOString().split('T')[0]}.csv`;
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    
-    const fileStream = require('fs').createReadStream(csvPath);
-    fileStream.pipe(res);
-
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get('/download/json', async (req, res) => {
-  try {
-    const data = await etl.load.readData();
-    if (!data) {
-      return res.status(404).json({ error: 'No data available' });
-    }
-
-    const filename = `universities-${new Date().toISOString().split('T')[0]}.json`;
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get('/data', async (req, res) => {
-  try {
-    const data = await etl.load.readData();
-    if (!data) {
-      return res.status(404).json({ error: 'No data available' });
-    }
-
-    const { limit = 10, search } = req.query;
-    let results = data.data;
-
-    if (search) {
-      const term = search.toLowerCase();
-      results = results.filter(uni => 
-        uni.name.toLowerCase().includes(term) ||
-        uni.domains.some(domain => domain.includes(term))
+  router.get('/data', async (req, res) => {
+    try {
+      // Reject bad parameters before touching the dataset
+      queries.parse(req.query);
+
+      const entry = await etl.dataset.get();
+      if (!entry) {
+        return res.status(404).json({ error: 'No data available' });
+      }
+
+      if (isNotModified(req, res, entry)) {
+        return res.status(304).end();
+      }
+
+      res.json(queries.execute(entry.data.data, req.query, `${req.baseUrl}${req.path}`));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/universities/by-domain/:domain', async (req, res) => {
+    try {
+      res.json(await universities.findByDomain(req.params.domain));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/universities/by-host/:host', async (req, res) => {
+    try {
+      res.json(await universities.findByHost(req.params.host));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/universities/:id', async (req, res) => {
+    try {
+      const university = await universities.getById(req.params.id);
+      if (university.id !== req.params.id) {
+        // Requested by a former id
+        res.set('Content-Location', `${req.baseUrl}/universities/${encodeURIComponent(university.id)}`);
+      }
+      res.json(university);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/quality/duplicates', async (req, res) => {
+    try {
+      for (const [param, allowed] of Object.entries(DUPLICATE_FILTERS)) {
+        if (req.query[param] !== undefined && !allowed.includes(req.query[param])) {
+          throw new ValidationError(`Invalid ${param} '${req.query[param]}'. Expected one of: ${allowed.join(', ')}`);
+        }
+      }
+
+      const entry = await etl.dataset.get();
+      if (!entry) {
+        return res.status(404).json({ error: 'No data available' });
+      }
+
+      const report = entry.data.metadata.duplicates;
+      if (!report) {
+        return res.status(404).json({ error: 'No duplicate report available. Run the ETL to generate one' });
+      }
+
+      const groups = report.groups.filter(group =>
+        (!req.query.type || group.type === req.query.type) &&
+        (!req.query.action || group.action === req.query.action)
       );
+
+      res.json({
+        policy: report.policy,
+        summary: report.summary,
+        total: groups.length,
+        groups
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
     }
+  });
 
-    res.json({
-      total: results.length,
-      data: results.slice(0, parseInt(limit))
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.post('/scheduler/start', (req, res) => {
-  scheduler.start();
-  res.json({ message: 'Scheduler started' });
-});
-
-router.post('/scheduler/stop', (req, res) => {
-  scheduler.stop();
-  res.json({ message: 'Scheduler stopped' });
-});
-
-module.exports = router;
+  // Override report of the published dataset, if a run has produced one
+  const overrideReport = async () => {
+    const entry = await etl.dataset.get();
+    return entry ? entry.data.metadata.overrides : undefined;
+  };
+
+  router.get('/overrides', async (req, res) => {
+    try {
+      res.json(await etl.overrides.list(req.query, await overrideReport()));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/overrides/:id', async (req, res) => {
+    try {
+      res.json(await etl.overrides.get(req.params.id, await overrideReport()));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Takes effect on the next run
+  router.put('/overrides/:id', async (req, res) => {
+    try {
+      // Overrides are keyed by the current id, also when a former one is used
+      const university = await universities.getById(req.params.id);
+      const { fields, note } = req.body || {};
+      res.json(await etl.overrides.put(university.id, { fields, note }));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/overrides/:id', async (req, res) => {
+    try {
+      res.json(await etl.overrides.remove(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/quarantine', async (req, res) => {
+    try {
+      res.json(await etl.quarantine.query(req.query));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/quarantine/:id', async (req, res) => {
+    try {
+      res.json(await etl.quarantine.get(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Corrected raw record; it replaces the rejected one on every later run
+  router.put('/quarantine/:id/fix', async (req, res) => {
+    try {
+      const { record, note } = req.body || {};
+      res.json(await etl.quarantine.submitFix(req.params.id, { record, note }));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Accept a record rejected by quality rules as it is
+  router.post('/quarantine/:id/override', async (req, res) => {
+    try {
+      const { note } = req.body || {};
+      res.json(await etl.quarantine.submitOverride(req.params.id, { note }));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // Withdraw a fix or override so the record is rejected again
+  router.delete('/quarantine/:id/decision', async (req, res) => {
+    try {
+      res.json(await etl.quarantine.reset(req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/backups', async (req, res) => {
+    try {
+      const backups = await etl.load.backups.list();
+      res.json({
+        total: backups.length,
+        retention: {
+          keepLast: etl.load.backups.keepLast,
+          keepDays: etl.load.backups.keepDays
+        },
+        backups
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/backups/:name', async (req, res) => {
+    try {
+      const backupPath = await etl.load.backups.getPath(req.params.name);
+      res.download(backupPath, req.params.name);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.post('/backups/:name/restore', async (req, res) => {
+    try {
+      const result = await scheduler.restoreBackup(req.params.name);
+      res.json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.get('/scheduler', async (req, res) => {
+    try {
+      res.json(await scheduler.getStatus());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/scheduler', async (req, res) => {
+    try {
+      const { cron, timezone } = req.body || {};
+      scheduler.updateSchedule({ cron, timezone });
+      res.json(await scheduler.getStatus());
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  router.post('/scheduler/start', (req, res) => {
+    scheduler.start();
+    res.json({ message: 'Scheduler started' });
+  });
+
+  router.post('/scheduler/stop', (req, res) => {
+    scheduler.stop();
+    res.json({ message: 'Scheduler stopped' });
+  });
+
+  return router;
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,179 @@
+/**
+ * Archive Service - Keeps the raw payload of every extract for offline reprocessing
+ *
+ * Each archive is named after the run that extracted it:
+ *
+ *   <runId>.json.gz    - gzip-compressed JSON array of the raw records
+ *   <runId>.meta.json  - source, request metadata, counts and the SHA-256 of the uncompressed payload
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { writeFileAtomic } = require('../utils/files');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+const META_SUFFIX = '.meta.json';
+const PAYLOAD_SUFFIX = '.json.gz';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ArchiveService {
+  constructor() {
+    this.archiveDir = config.storage.archiveDir;
+    this.keepLast = config.storage.archiveRetention.keepLast;
+    this.keepDays = config.storage.archiveRetention.keepDays;
+  }
+
+  /**
+   * Archive the raw payload of an extract
+   * @param {string} runId - Run that extracted the payload
+   * @param {Object} extraction - Result of ExtractService#extractData()
+   * @returns {Promise<Object>} Archive metadata
+   */
+  async save(runId, extraction) {
+    const payload = Buffer.from(JSON.stringify(extraction.data));
+    const compressed = await gzip(payload);
+
+    const metadata = {
+      id: runId,
+      source: extraction.source,
+      extractedAt: extraction.extractedAt || new Date().toISOString(),
+      records: Array.isArray(extraction.data) ? extraction.data.length : null,
+      countries: extraction.countries,
+      failures: extraction.failures,
+      requests: extraction.requests || [],
+      sha256: crypto.createHash('sha256').update(payload).digest('hex'),
+      size: payload.length,
+      compressedSize: compressed.length
+    };
+
+    // The metadata is written last, so a payload without it is never listed
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    await writeFileAtomic(this.payloadPath(runId), compressed);
+    await writeFileAtomic(this.metaPath(runId), JSON.stringify(metadata, null, 2));
+    logger.info(`Archived raw payload of run ${runId} (${metadata.records} records, ${compressed.length} bytes)`);
+
+    await this.prune();
+    return metadata;
+  }
+
+  /**
+   * List archives, newest first
+   * @returns {Promise<Array>} Archive metadata
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.archiveDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const archives = [];
+    for (const file of files.filter(name => name.endsWith(META_SUFFIX))) {
+      try {
+        archives.push(JSON.parse(await fs.readFile(path.join(this.archiveDir, file), 'utf8')));
+      } catch (error) {
+        logger.warn(`Could not read archive metadata ${file}: ${error.message}`);
+      }
+    }
+
+    return archives.sort((a, b) => b.extractedAt.localeCompare(a.extractedAt));
+  }
+
+  /**
+   * Read the metadata of an archive
+   * @param {string} id - Archive id (the extracting run's id)
+   * @returns {Promise<Object>} Archive metadata
+   */
+  async get(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new NotFoundError(`Archive '${id}' not found`);
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Archive '${id}' not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read an archived payload back in the shape of an extraction result,
+   * after checking it against the recorded hash
+   * @param {string} id - Archive id
+   * @returns {Promise<Object>} { source, data, countries, failures, requests, extractedAt }
+   */
+  async read(id) {
+    const metadata = await this.get(id);
+    const payload = await gunzip(await fs.readFile(this.payloadPath(id)));
+
+    const sha256 = crypto.createHash('sha256').update(payload).digest('hex');
+    if (sha256 !== metadata.sha256) {
+      throw new ConflictError(`Archive '${id}' is corrupt: checksum mismatch`);
+    }
+
+    return {
+      source: metadata.source,
+      data: JSON.parse(payload.toString('utf8')),
+      countries: metadata.countries,
+      failures: metadata.failures,
+      requests: metadata.requests,
+      extractedAt: metadata.extractedAt
+    };
+  }
+
+  /**
+   * Delete archives outside the retention policy. An archive is removed when
+   * it is not among the newest `keepLast` or is older than `keepDays`.
+   * @returns {Promise<Array<string>>} Ids of deleted archives
+   */
+  async prune() {
+    if (!this.keepLast && !this.keepDays) {
+      return [];
+    }
+
+    const archives = await this.list();
+    const cutoff = this.keepDays ? Date.now() - this.keepDays * DAY_MS : null;
+
+    const expired = archives.filter((archive, index) =>
+      (this.keepLast && index >= this.keepLast) ||
+      (cutoff !== null && new Date(archive.extractedAt).getTime() < cutoff)
+    );
+
+    for (const archive of expired) {
+      await fs.rm(this.metaPath(archive.id), { force: true });
+      await fs.rm(this.payloadPath(archive.id), { force: true });
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Pruned ${expired.length} archives outside retention policy`);
+    }
+
+    return expired.map(archive => archive.id);
+  }
+
+  metaPath(id) {
+    return path.join(this.archiveDir, `${id}${META_SUFFIX}`);
+  }
+
+  payloadPath(id) {
+    return path.join(this.archiveDir, `${id}${PAYLOAD_SUFFIX}`);
+  }
+}
+
+module.exports = ArchiveService;
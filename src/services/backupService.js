@@ -0,0 +1,166 @@
+/**
+ * Backup Service - Manages timestamped copies of the published dataset
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { NotFoundError } = require('../utils/errors');
+const { writeFileAtomic, copyFileAtomic } = require('../utils/files');
+
+const BACKUP_PATTERN = /^universities-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BackupService {
+  constructor() {
+    this.backupDir = config.storage.backupDir;
+    this.keepLast = config.storage.backupRetention.keepLast;
+    this.keepDays = config.storage.backupRetention.keepDays;
+  }
+
+  /**
+   * Copy a dataset file into the backup directory
+   * @param {string} sourcePath - Path of the file to back up
+   * @returns {Promise<string>} Backup name
+   */
+  async create(sourcePath) {
+    const name = await this.nextName();
+    await copyFileAtomic(sourcePath, path.join(this.backupDir, name));
+    logger.info(`Created backup ${name}`);
+    return name;
+  }
+
+  /**
+   * Write a dataset held in memory as a backup
+   * @param {Object} dataset - Dataset ({ data, metadata })
+   * @returns {Promise<string>} Backup name
+   */
+  async save(dataset) {
+    const name = await this.nextName();
+    await writeFileAtomic(path.join(this.backupDir, name), JSON.stringify(dataset, null, 2));
+    logger.info(`Created backup ${name}`);
+    return name;
+  }
+
+  /**
+   * List backups, newest first
+   * @returns {Promise<Array>} Backup descriptors with size and record count
+   */
+  async list() {
+    const backups = [];
+    for (const backup of await this.scan()) {
+      const filePath = path.join(this.backupDir, backup.name);
+      const stats = await fs.stat(filePath);
+      backups.push({
+        ...backup,
+        size: stats.size,
+        recordCount: await this.countRecords(filePath)
+      });
+    }
+    return backups;
+  }
+
+  /**
+   * Backup names and creation times, newest first, without opening the files
+   * @returns {Promise<Array>} { name, createdAt } descriptors
+   */
+  async scan() {
+    let files;
+    try {
+      files = await fs.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => BACKUP_PATTERN.test(file))
+      .map(name => ({ name, createdAt: this.parseTimestamp(name) }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Resolve a backup name to its path
+   * @param {string} name - Backup file name
+   * @returns {Promise<string>} Absolute path of the backup
+   */
+  async getPath(name) {
+    if (!BACKUP_PATTERN.test(name)) {
+      throw new NotFoundError(`Backup '${name}' not found`);
+    }
+
+    const filePath = path.resolve(this.backupDir, name);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      throw new NotFoundError(`Backup '${name}' not found`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Read and parse a backup
+   * @param {string} name - Backup file name
+   * @returns {Promise<Object>} Dataset stored in the backup
+   */
+  async read(name) {
+    const content = await fs.readFile(await this.getPath(name), 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Delete backups outside the retention policy. A backup is removed when it
+   * is not among the newest `keepLast` or is older than `keepDays`.
+   * @returns {Promise<Array<string>>} Names of deleted backups
+   */
+  async prune() {
+    if (!this.keepLast && !this.keepDays) {
+      return [];
+    }
+
+    const backups = await this.scan();
+    const cutoff = this.keepDays ? Date.now() - this.keepDays * DAY_MS : null;
+
+    const expired = backups.filter((backup, index) =>
+      (this.keepLast && index >= this.keepLast) ||
+      (cutoff !== null && new Date(backup.createdAt).getTime() < cutoff)
+    );
+
+    for (const backup of expired) {
+      await fs.unlink(path.join(this.backupDir, backup.name));
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Pruned ${expired.length} backups outside retention policy`);
+    }
+
+    return expired.map(backup => backup.name);
+  }
+
+  async nextName() {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `universities-${timestamp}.json`;
+  }
+
+  parseTimestamp(name) {
+    const [, date, hours, minutes, seconds, millis] = name.match(BACKUP_PATTERN);
+    return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+  }
+
+  async countRecords(filePath) {
+    try {
+      const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return Array.isArray(content.data) ? content.data.length : null;
+    } catch (error) {
+      logger.warn(`Could not read backup ${path.basename(filePath)}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = BackupService;
@@ -0,0 +1,134 @@
+/**
+ * Change Service - Computes and stores differences between ETL runs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+class ChangeService {
+  constructor() {
+    this.changesDir = config.storage.changesDir;
+    // Fields that change on every run and carry no information
+    this.ignoredFields = ['lastUpdated'];
+  }
+
+  /**
+   * Compare two datasets keyed by university id
+   * @param {Array} previousRecords - Records from the currently published dataset
+   * @param {Array} currentRecords - Newly transformed records
+   * @returns {Object} Added, removed and changed records with a summary
+   */
+  diff(previousRecords = [], currentRecords = []) {
+    const previousById = new Map(previousRecords.map(record => [record.id, record]));
+    const currentIds = new Set();
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const record of currentRecords) {
+      currentIds.add(record.id);
+      const previous = previousById.get(record.id);
+
+      if (!previous) {
+        added.push(record);
+        continue;
+      }
+
+      const fields = this.diffFields(previous, record);
+      if (Object.keys(fields).length > 0) {
+        changed.push({ id: record.id, name: record.name, fields });
+      } else {
+        unchanged++;
+      }
+    }
+
+    const removed = previousRecords.filter(record => !currentIds.has(record.id));
+
+    return {
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        changed: changed.length,
+        unchanged
+      },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  /**
+   * Compute field-level differences between two versions of a record
+   * @param {Object} previous - Previous record
+   * @param {Object} current - Current record
+   * @returns {Object} Map of field name to { from, to }
+   */
+  diffFields(previous, current) {
+    const fields = {};
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const key of keys) {
+      if (this.ignoredFields.includes(key)) {
+        continue;
+      }
+
+      const from = previous[key] === undefined ? null : previous[key];
+      const to = current[key] === undefined ? null : current[key];
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        fields[key] = { from, to };
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Persist the change report for a run
+   * @param {string} runId - ETL run id
+   * @param {Object} report - Report from diff()
+   * @returns {Promise<string>} Path of the stored report
+   */
+  async save(runId, report) {
+    await fs.mkdir(this.changesDir, { recursive: true });
+    const reportPath = this.getReportPath(runId);
+    await fs.writeFile(reportPath, JSON.stringify({ runId, ...report }, null, 2));
+    logger.info(`Saved change report for run ${runId}`);
+    return reportPath;
+  }
+
+  /**
+   * Load the change report for a run
+   * @param {string} runId - ETL run id
+   * @returns {Promise<Object|null>} Stored report or null if none exists
+   */
+  async get(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(this.getReportPath(runId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getReportPath(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`Invalid run id '${runId}'`);
+    }
+    return path.join(this.changesDir, `${runId}.json`);
+  }
+}
+
+module.exports = ChangeService;
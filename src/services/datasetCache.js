@@ -0,0 +1,93 @@
+/**
+ * Dataset Cache - Keeps the published dataset and its index in memory
+ */
+
+const DatasetIndex = require('./datasetIndex');
+const logger = require('../utils/logger');
+
+class DatasetCache {
+  /**
+   * @param {Object} options
+   * @param {LoadService} options.load - Load service owning the dataset storage;
+   *   its 'saved' event swaps the cached dataset
+   */
+  constructor({ load }) {
+    this.load = load;
+    this.entry = null;
+    this.loading = null;
+
+    this.load.on('saved', data => {
+      this.replace(data).catch(error => {
+        logger.warn(`Failed to refresh dataset cache: ${error.message}`);
+        this.entry = null;
+      });
+    });
+  }
+
+  /**
+   * Current dataset. The storage revision is checked on every call so changes
+   * made outside this process are picked up; it is only re-read when it has changed.
+   * @returns {Promise<Object|null>} { data, index, etag, lastModified } or null when no data exists
+   */
+  async get() {
+    const stats = await this.stat();
+    if (!stats) {
+      this.entry = null;
+      return null;
+    }
+
+    if (this.entry && this.entry.version === stats.version) {
+      return this.entry;
+    }
+
+    // Coalesce concurrent reloads into one read
+    if (!this.loading) {
+      this.loading = this.reload().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async reload() {
+    const stats = await this.stat();
+    const data = await this.load.readData();
+    if (!data || !stats) {
+      this.entry = null;
+      return null;
+    }
+
+    this.entry = this.createEntry(data, stats);
+    logger.info(`Loaded dataset into cache (${data.data.length} records)`);
+    return this.entry;
+  }
+
+  /**
+   * Swap in a dataset that has just been written, without re-reading it
+   * @param {Object} data - Dataset that was saved
+   * @returns {Promise<Object>} New cache entry
+   */
+  async replace(data) {
+    const stats = await this.stat();
+    // Build the whole entry before publishing it so readers never see a partial swap
+    const entry = this.createEntry(data, stats);
+    this.entry = entry;
+    return entry;
+  }
+
+  createEntry(data, stats) {
+    return {
+      data,
+      index: new DatasetIndex(data.data, data.metadata && data.metadata.identifiers ? data.metadata.identifiers.aliases : {}),
+      version: stats.version,
+      etag: stats.etag,
+      lastModified: stats.lastModified
+    };
+  }
+
+  stat() {
+    return this.load.storage.stat();
+  }
+}
+
+module.exports = DatasetCache;
@@ -0,0 +1,113 @@
+/**
+ * Dataset Index - In-memory lookup tables over a loaded dataset
+ */
+
+class DatasetIndex {
+  /**
+   * @param {Array} records - Transformed university records
+   * @param {Object} aliases - Former ids mapped to current ids
+   */
+  constructor(records = [], aliases = {}) {
+    this.records = records;
+    this.aliases = aliases;
+    this.byId = new Map();
+    this.byDomain = new Map();
+    this.byHost = new Map();
+
+    for (const record of records) {
+      this.byId.set(record.id, record);
+
+      for (const domain of record.domains || []) {
+        this.add(this.byDomain, domain.toLowerCase(), record);
+      }
+
+      for (const page of record.webPages || []) {
+        const host = DatasetIndex.normalizeHost(page);
+        if (host) {
+          this.add(this.byHost, host, record);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find a university by id or by a former id
+   * @param {string} id - University id
+   * @returns {Object|null} Record or null
+   */
+  findById(id) {
+    let current = id;
+    // Follow alias chains (an aliased id may itself have been merged later)
+    for (let hops = 0; hops < 10; hops++) {
+      if (this.byId.has(current)) {
+        return this.byId.get(current);
+      }
+      if (!Object.prototype.hasOwnProperty.call(this.aliases, current)) {
+        return null;
+      }
+      current = this.aliases[current];
+    }
+    return null;
+  }
+
+  /**
+   * Resolve an email address or domain to institutions. Subdomains fall back
+   * to their parent domains, so "cs.stanford.edu" resolves to "stanford.edu".
+   * @param {string} value - Domain or email address
+   * @returns {Object} { domain, matchedDomain, universities }
+   */
+  findByDomain(value) {
+    const domain = String(value).trim().toLowerCase().split('@').pop();
+    const labels = domain.split('.').filter(label => label !== '');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join('.');
+      const matches = this.byDomain.get(candidate);
+      if (matches) {
+        return { domain, matchedDomain: candidate, universities: matches };
+      }
+    }
+
+    return { domain, matchedDomain: null, universities: [] };
+  }
+
+  /**
+   * Find institutions by web page host; accepts a bare host or a URL
+   * @param {string} value - Host name or URL
+   * @returns {Object} { host, universities }
+   */
+  findByHost(value) {
+    const host = DatasetIndex.normalizeHost(value);
+    return { host, universities: (host && this.byHost.get(host)) || [] };
+  }
+
+  add(map, key, record) {
+    const entries = map.get(key);
+    if (!entries) {
+      map.set(key, [record]);
+    } else if (!entries.includes(record)) {
+      entries.push(record);
+    }
+  }
+
+  /**
+   * Reduce a URL or host to a lowercase host without "www."
+   * @param {string} value - URL or host
+   * @returns {string|null} Normalised host
+   */
+  static normalizeHost(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+
+    const trimmed = value.trim();
+    try {
+      const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+      return url.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = DatasetIndex;
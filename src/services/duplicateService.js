@@ -0,0 +1,309 @@
+/**
+ * Duplicate Service - Detects repeated and near-duplicate universities
+ *
+ * - exact: records with the same id and identical content; repeats are dropped
+ * - idCollision: records with the same id but different content; merged into
+ *   one record, or kept under suffixed ids (`<id>-2`) and flagged
+ * - nearDuplicate: different ids sharing a domain, or with similar normalized
+ *   names in the same country and state; flagged, merged or ignored
+ */
+
+const config = require('../config');
+const { normalizeName, significantTokens, similarity } = require('../quality/similarity');
+
+const ID_POLICIES = ['merge', 'flag'];
+const NEAR_POLICIES = ['flag', 'merge', 'off'];
+
+// Tokens shared by more names than this are too common to pick candidates
+const MAX_TOKEN_BUCKET = 50;
+
+const IGNORED_FIELDS = ['lastUpdated', 'qualityFlags'];
+const LIST_FIELDS = ['domains', 'webPages', 'qualityFlags', 'mergedIds'];
+
+class DuplicateService {
+  /**
+   * @param {Object} settings - Duplicate settings ({ idCollisions, nearDuplicates, nameSimilarity })
+   */
+  constructor(settings = config.quality.duplicates) {
+    if (!ID_POLICIES.includes(settings.idCollisions)) {
+      throw new Error(`Invalid id collision policy '${settings.idCollisions}'. Expected one of: ${ID_POLICIES.join(', ')}`);
+    }
+    if (!NEAR_POLICIES.includes(settings.nearDuplicates)) {
+      throw new Error(`Invalid near-duplicate policy '${settings.nearDuplicates}'. Expected one of: ${NEAR_POLICIES.join(', ')}`);
+    }
+    if (!(settings.nameSimilarity > 0 && settings.nameSimilarity <= 1)) {
+      throw new Error(`Invalid name similarity '${settings.nameSimilarity}'. Expected a number above 0 and up to 1`);
+    }
+
+    this.policy = {
+      idCollisions: settings.idCollisions,
+      nearDuplicates: settings.nearDuplicates,
+      nameSimilarity: settings.nameSimilarity
+    };
+  }
+
+  /**
+   * Resolve duplicates according to the policy
+   * @param {Array<Object>} records - Transformed records
+   * @returns {Object} { data, report } with the resolved records and what was found
+   */
+  process(records) {
+    const report = {
+      policy: this.policy,
+      summary: { exact: 0, idCollisions: 0, nearDuplicates: 0, merged: 0, flagged: 0 },
+      groups: []
+    };
+
+    let data = this.resolveIds(records, report);
+    if (this.policy.nearDuplicates !== 'off') {
+      data = this.resolveNearDuplicates(data, report);
+    }
+
+    return { data, report };
+  }
+
+  resolveIds(records, report) {
+    const byId = new Map();
+    for (const record of records) {
+      if (!byId.has(record.id)) {
+        byId.set(record.id, []);
+      }
+      byId.get(record.id).push(record);
+    }
+
+    const usedIds = new Set(byId.keys());
+    const resolved = [];
+
+    for (const [id, group] of byId) {
+      if (group.length === 1) {
+        resolved.push(group[0]);
+        continue;
+      }
+
+      const distinct = this.distinct(group);
+      if (distinct.length < group.length) {
+        report.summary.exact += group.length - distinct.length;
+        report.groups.push({ type: 'exact', ids: [id], count: group.length, action: 'removed' });
+      }
+
+      if (distinct.length === 1) {
+        resolved.push(distinct[0]);
+        continue;
+      }
+
+      report.summary.idCollisions++;
+      const entry = { type: 'idCollision', ids: [id], records: distinct.map(record => this.describe(record)) };
+
+      if (this.policy.idCollisions === 'merge') {
+        resolved.push(this.merge(distinct));
+        report.summary.merged += distinct.length - 1;
+        entry.action = 'merged';
+      } else {
+        distinct.forEach((record, index) => {
+          const newId = index === 0 ? id : this.suffixedId(id, usedIds);
+          resolved.push(this.flag({ ...record, id: newId }, 'idCollision'));
+          if (index > 0) {
+            entry.ids.push(newId);
+          }
+        });
+        report.summary.flagged += distinct.length;
+        entry.action = 'flagged';
+      }
+
+      report.groups.push(entry);
+    }
+
+    return resolved;
+  }
+
+  resolveNearDuplicates(records, report) {
+    const parent = records.map((record, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = [];
+    const link = (a, b, reason) => {
+      links.push({ a, b, ...reason });
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) {
+        parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+      }
+    };
+
+    this.linkSharedDomains(records, link);
+    this.linkSimilarNames(records, link);
+
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(index);
+    });
+
+    const replaced = new Map();
+    const removed = new Set();
+
+    for (const members of groups.values()) {
+      if (members.length === 1) {
+        continue;
+      }
+
+      const group = members.map(index => records[index]);
+      const memberSet = new Set(members);
+      const entry = {
+        type: 'nearDuplicate',
+        ids: group.map(record => record.id),
+        records: group.map(record => this.describe(record)),
+        reasons: links
+          .filter(({ a }) => memberSet.has(a))
+          .map(({ a, b, ...reason }) => ({ ids: [records[a].id, records[b].id], ...reason }))
+      };
+      report.summary.nearDuplicates++;
+
+      if (this.policy.nearDuplicates === 'merge') {
+        const merged = this.merge(group);
+        merged.mergedIds = [...new Set([...(merged.mergedIds || []), ...group.slice(1).map(record => record.id)])];
+        replaced.set(members[0], merged);
+        members.slice(1).forEach(index => removed.add(index));
+        report.summary.merged += members.length - 1;
+        entry.action = 'merged';
+      } else {
+        members.forEach(index => replaced.set(index, this.flag(records[index], 'nearDuplicate')));
+        report.summary.flagged += members.length;
+        entry.action = 'flagged';
+      }
+
+      report.groups.push(entry);
+    }
+
+    return records
+      .map((record, index) => replaced.get(index) || record)
+      .filter((record, index) => !removed.has(index));
+  }
+
+  linkSharedDomains(records, link) {
+    const owners = new Map();
+    records.forEach((record, index) => {
+      for (const domain of record.domains) {
+        if (owners.has(domain)) {
+          link(owners.get(domain), index, { reason: 'sharedDomain', domain });
+        } else {
+          owners.set(domain, index);
+        }
+      }
+    });
+  }
+
+  linkSimilarNames(records, link) {
+    // Only compare names that share the country and a distinctive word (or the whole name)
+    const buckets = new Map();
+    const names = records.map(record => normalizeName(record.name));
+
+    records.forEach((record, index) => {
+      const country = String(record.country).toLowerCase();
+      for (const key of [`=${names[index]}`, ...significantTokens(names[index])]) {
+        const bucketKey = `${country}|${key}`;
+        if (!buckets.has(bucketKey)) {
+          buckets.set(bucketKey, []);
+        }
+        buckets.get(bucketKey).push(index);
+      }
+    });
+
+    const compared = new Set();
+    for (const [key, members] of buckets) {
+      if (members.length < 2 || (members.length > MAX_TOKEN_BUCKET && !key.includes('|='))) {
+        continue;
+      }
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = members[i];
+          const b = members[j];
+          const pair = `${a}:${b}`;
+          if (compared.has(pair)) {
+            continue;
+          }
+          compared.add(pair);
+
+          if (!this.sameState(records[a], records[b])) {
+            continue;
+          }
+
+          const score = similarity(names[a], names[b]);
+          if (score >= this.policy.nameSimilarity) {
+            link(a, b, { reason: 'similarName', score: Math.round(score * 1000) / 1000 });
+          }
+        }
+      }
+    }
+  }
+
+  sameState(a, b) {
+    return !a.stateProvince || !b.stateProvince || a.stateProvince.toLowerCase() === b.stateProvince.toLowerCase();
+  }
+
+  /**
+   * Drop records whose content repeats an earlier one (lastUpdated and flags ignored)
+   */
+  distinct(records) {
+    const seen = new Set();
+    return records.filter(record => {
+      const key = JSON.stringify(
+        Object.keys(record).sort().filter(field => !IGNORED_FIELDS.includes(field)).map(field => [field, record[field]])
+      );
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Combine records into the first one: lists are unioned and missing values filled in
+   */
+  merge(records) {
+    const merged = { ...records[0] };
+
+    for (const record of records.slice(1)) {
+      for (const [field, value] of Object.entries(record)) {
+        if (LIST_FIELDS.includes(field)) {
+          merged[field] = [...new Set([...(merged[field] || []), ...value])];
+        } else if (merged[field] === null || merged[field] === undefined) {
+          merged[field] = value;
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  flag(record, flag) {
+    const flags = record.qualityFlags || [];
+    return flags.includes(flag) ? record : { ...record, qualityFlags: [...flags, flag] };
+  }
+
+  suffixedId(id, usedIds) {
+    let suffix = 2;
+    while (usedIds.has(`${id}-${suffix}`)) {
+      suffix++;
+    }
+    const newId = `${id}-${suffix}`;
+    usedIds.add(newId);
+    return newId;
+  }
+
+  describe(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      country: record.country,
+      stateProvince: record.stateProvince,
+      domains: record.domains
+    };
+  }
+}
+
+module.exports = DuplicateService;
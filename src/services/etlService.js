@@ -1,56 +1,329 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const ExtractService = require('./extractService');
 const TransformService = require('./transformService');
 const LoadService = require('./loadService');
+const ChangeService = require('./changeService');
+const RunHistoryService = require('./runHistoryService');
+const DatasetCache = require('./datasetCache');
+const IdRegistryService = require('./idRegistryService');
+const QuarantineService = require('./quarantineService');
+const OverrideService = require('./overrideService');
+const PublicationGuardService = require('./publicationGuardService');
+const ArchiveService = require('./archiveService');
 const logger = require('../utils/logger');
+const { CancelledError, PublicationBlockedError } = require('../utils/errors');
 
-class ETLService {
+/**
+ * Emits an 'event' for every stage transition, extraction attempt and run outcome.
+ * Each event is { type, runId, timestamp, ...details }.
+ */
+class ETLService extends EventEmitter {
   constructor() {
+    super();
     this.extract = new ExtractService();
     this.transform = new TransformService();
     this.load = new LoadService();
+    this.changes = new ChangeService();
+    this.history = new RunHistoryService();
+    this.ids = new IdRegistryService();
+    this.quarantine = new QuarantineService({ transform: this.transform });
+    this.overrides = new OverrideService({ transform: this.transform });
+    this.guards = new PublicationGuardService();
+    this.archive = new ArchiveService();
+    this.dataset = new DatasetCache({ load: this.load });
+    this.activeRun = null;
+    // Every connected /api/etl/events client listens for 'event'
+    this.setMaxListeners(0);
+
+    for (const type of ['attempt', 'retry', 'success', 'failure']) {
+      this.extract.on(type, details => {
+        if (this.activeRun) {
+          this.publish(this.activeRun, `extract:${type}`, details);
+        }
+      });
+    }
   }
 
-  async run() {
+  /**
+   * Run the extract, transform and load stages and record the run in the history log
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - What started the run (scheduled | manual | reprocess)
+   * @param {AbortSignal} [options.signal] - Cancels the run before loading
+   * @param {Function} [options.onProgress] - Receives { runId, stage, counts } on every stage transition
+   * @param {string} [options.archive] - Reprocess this archived payload instead of extracting
+   * @returns {Promise<Object>} Run record
+   */
+  async run({ trigger = 'manual', signal, onProgress, archive } = {}) {
     const start = Date.now();
-    logger.info('Starting ETL process');
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      startedAt: new Date(start).toISOString(),
+      finishedAt: null,
+      duration: null,
+      success: false,
+      stages: {},
+      counts: { extracted: 0, transformed: 0, loaded: 0 },
+      transformErrors: 0
+    };
+    const stageOptions = { signal, onProgress };
+    logger.info(`Starting ETL process (run ${run.id}, ${trigger})`);
+    this.activeRun = run;
+    this.publish(run, 'run:started', { trigger });
 
     try {
       // Extract
-      const rawData = await this.extract.extractData();
-      if (!this.extract.validateData(rawData)) {
-        throw new Error('Invalid data from API');
-      }
+      const extraction = await this.timeStage(run, 'extract', stageOptions, async () => {
+        let result;
+        if (archive) {
+          result = await this.archive.read(archive);
+          run.archive = archive;
+        } else {
+          result = await this.extract.extractData({ signal });
+          run.archive = await this.archivePayload(run, result);
+        }
+
+        result.schema = this.extract.validateRawSchema(result.data);
+        if (!result.schema.valid) {
+          throw new Error(`Invalid data from ${result.source} source: ${result.schema.error}`);
+        }
+        return result;
+      });
+      const rawData = extraction.data;
+      const { issues, drift } = extraction.schema;
+      run.counts.extracted = rawData.length;
+      run.rawSchema = {
+        invalidRecords: extraction.schema.invalidRecords,
+        issues,
+        drift: { missing: drift.missing, unexpected: drift.unexpected }
+      };
+      run.countries = extraction.countries;
+      run.failures = extraction.failures;
 
       // Transform
-      const transformResult = await this.transform.transformData(rawData);
-      
+      let identities;
+      let quarantine;
+      const transformResult = await this.timeStage(run, 'transform', stageOptions, async () => {
+        // Reviewed fixes and overrides from the quarantine replace or relax the raw records
+        const replay = await this.quarantine.getReplay();
+        const result = await this.transform.transformData(rawData, { replay });
+        // Recorded whether or not the run publishes: a run blocked for too many
+        // rejections is exactly the one whose rejections need review
+        quarantine = await this.quarantine.record(result.metadata, run.id);
+
+        // Swap generated ids for the stable ones kept in the registry
+        const published = await this.dataset.get();
+        identities = await this.ids.assign(result.data, { seed: published ? published.data.data : [] });
+        result.data = identities.data;
+        result.metadata.identifiers = { ...identities.report, aliases: identities.registry.aliases };
+
+        // Curated corrections, keyed by the stable ids
+        const overrides = await this.overrides.apply(result.data);
+        result.data = overrides.data;
+        result.metadata.overrides = overrides.report;
+        return result;
+      });
+      transformResult.metadata.countries = extraction.countries;
+      transformResult.metadata.runId = run.id;
+      run.counts.transformed = transformResult.data.length;
+      run.transformErrors = transformResult.metadata.failedTransformations;
+      run.quality = this.summarizeQuality(transformResult.metadata.quality);
+      run.duplicates = transformResult.metadata.duplicates.summary;
+      run.identifiers = { matched: identities.report.matched, minted: identities.report.minted };
+      run.overrides = transformResult.metadata.overrides.summary;
+      run.quarantine = {
+        quarantined: quarantine.quarantined,
+        added: quarantine.added,
+        fixed: transformResult.metadata.replayed.fixed.length,
+        overridden: transformResult.metadata.replayed.overridden.length
+      };
+      this.publish(run, 'transform:summary', {
+        transformed: run.counts.transformed,
+        errors: run.transformErrors,
+        quarantine: run.quarantine,
+        quality: run.quality,
+        duplicates: run.duplicates
+      });
+
+      // Guard: a suspicious dataset must not replace the published one
+      await this.timeStage(run, 'guard', stageOptions, async () => {
+        const published = await this.dataset.get();
+        run.guards = this.guards.check({
+          drift: extraction.schema.drift,
+          transformResult,
+          previous: published ? published.data.data : null
+        });
+        if (!run.guards.passed) {
+          throw new PublicationBlockedError(run.guards.violations);
+        }
+      });
+
       // Load
-      const loadResult = await this.load.saveData(transformResult);
-
-      const duration = Date.now() - start;
-      logger.info(`ETL completed in ${duration}ms`);
-      
-      return {
-        success: true,
-        duration,
-        extracted: rawData.length,
-        transformed: transformResult.data.length,
-        loaded: loadResult.recordsLoaded
+      const changes = await this.timeStage(run, 'load', stageOptions, async () => {
+        // Compare with the currently published dataset before it is overwritten
+        const previous = await this.dataset.get();
+        const report = this.changes.diff(previous ? previous.data.data : [], transformResult.data);
+        transformResult.metadata.changes = report.summary;
+
+        // The registry is saved first so every published id is registered;
+        // ids registered by a load that then fails are simply reused later
+        await this.ids.save(identities.registry);
+        const loadResult = await this.load.saveData(transformResult);
+        run.counts.loaded = loadResult.recordsLoaded;
+        await this.saveChanges(run, report);
+        return report;
+      });
+
+      run.changes = {
+        added: changes.summary.added,
+        removed: changes.summary.removed,
+        changed: changes.summary.changed
       };
+      run.success = true;
+      this.finishRun(run, start);
+      this.reportProgress(run, 'completed', onProgress);
+      this.publish(run, 'run:completed', { run });
+      logger.info(`ETL completed in ${run.duration}ms`);
 
     } catch (error) {
-      const duration = Date.now() - start;
-      logger.error(`ETL failed after ${duration}ms: ${error.message}`);
+      run.error = error.message;
+      if (error instanceof CancelledError) {
+        run.cancelled = true;
+      }
+      if (error instanceof PublicationBlockedError) {
+        run.blocked = true;
+      }
+      this.finishRun(run, start);
+      this.reportProgress(run, run.cancelled ? 'cancelled' : 'failed', onProgress);
+      this.publish(run, run.cancelled ? 'run:cancelled' : 'run:failed', { error: error.message, run });
+      logger.error(`ETL failed after ${run.duration}ms: ${error.message}`);
+      this.activeRun = null;
+      await this.recordRun(run);
+      error.run = run;
       throw error;
     }
+
+    this.activeRun = null;
+    await this.recordRun(run);
+    return run;
+  }
+
+  /**
+   * Run one stage and record its duration, and the stage name if it fails.
+   * Cancellation is checked before each stage so a run is never cut off mid-load.
+   * @param {Object} run - Run record
+   * @param {string} stage - Stage name
+   * @param {Object} options - Run signal and progress callback
+   * @param {Function} operation - Stage implementation
+   * @returns {Promise<*>} Stage result
+   */
+  async timeStage(run, stage, { signal, onProgress }, operation) {
+    const stageStart = Date.now();
+    try {
+      if (signal && signal.aborted) {
+        throw new CancelledError();
+      }
+      this.reportProgress(run, stage, onProgress);
+
+      return await operation();
+    } catch (error) {
+      run.failedStage = stage;
+      throw error;
+    } finally {
+      run.stages[stage] = { duration: Date.now() - stageStart };
+    }
+  }
+
+  /**
+   * Archive an extracted payload. Archiving is best effort and never fails the run.
+   * @param {Object} run - Run record
+   * @param {Object} extraction - Extraction result
+   * @returns {Promise<string|null>} Archive id, null when archiving failed
+   */
+  async archivePayload(run, extraction) {
+    try {
+      return (await this.archive.save(run.id, extraction)).id;
+    } catch (error) {
+      logger.error(`Failed to archive the raw payload of run ${run.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store the change report of a published run. The dataset is already live,
+   * so a failure is logged and never fails the run.
+   * @param {Object} run - Run record
+   * @param {Object} report - Change report
+   */
+  async saveChanges(run, report) {
+    try {
+      await this.changes.save(run.id, report);
+    } catch (error) {
+      logger.error(`Failed to store the change report of run ${run.id}: ${error.message}`);
+    }
+  }
+
+  reportProgress(run, stage, onProgress) {
+    this.publish(run, 'stage', { stage, counts: { ...run.counts } });
+
+    if (!onProgress) {
+      return;
+    }
+
+    try {
+      onProgress({ runId: run.id, stage, counts: { ...run.counts } });
+    } catch (error) {
+      logger.warn(`Progress listener failed: ${error.message}`);
+    }
+  }
+
+  publish(run, type, details = {}) {
+    try {
+      this.emit('event', { type, runId: run.id, timestamp: new Date().toISOString(), ...details });
+    } catch (error) {
+      // A broken subscriber must never fail the run
+      logger.warn(`ETL event listener failed: ${error.message}`);
+    }
+  }
+
+  finishRun(run, start) {
+    run.finishedAt = new Date().toISOString();
+    run.duration = Date.now() - start;
+  }
+
+  async recordRun(run) {
+    try {
+      await this.history.append(run);
+    } catch (error) {
+      // Losing a history entry must not turn a successful run into a failed one
+      logger.error(`Failed to record run ${run.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Condense the transform quality report for the run record
+   * @param {Object} report - Report from QualityService
+   * @returns {Object} { flagged, rejected, hits: { rule: count } } listing only rules that fired
+   */
+  summarizeQuality(report) {
+    const hits = {};
+    for (const [rule, { hits: count }] of Object.entries(report.rules)) {
+      if (count > 0) {
+        hits[rule] = count;
+      }
+    }
+    return { flagged: report.flaggedRecords, rejected: report.rejectedRecords, hits };
   }
 
   async getStatus() {
-    const data = await this.load.readData();
+    const entry = await this.dataset.get();
+    const data = entry && entry.data;
     return {
       hasData: !!data,
+      storage: this.load.storage.name,
       recordCount: data?.data?.length || 0,
-      lastUpdate: data?.metadata?.timestamp || null
+      lastUpdate: data?.metadata?.transformationDate || null
     };
   }
 }
@@ -1,14 +1,23 @@
 /**
- * Extract Service - Handles data extraction from the universities API
+ * Extract Service - Handles data extraction through the configured source adapter
  */
 
+const EventEmitter = require('events');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { createSource } = require('../sources');
+const { validateRawRecords } = require('../sources/rawSchema');
+const { CancelledError } = require('../utils/errors');
 
-class ExtractService {
-  constructor() {
-    this.apiUrl = config.api.universitiesUrl;
+/**
+ * Emits 'attempt', 'retry', 'success' and 'failure' events for every request label,
+ * and 'request' with the outcome of each HTTP request once its retries are over
+ */
+class ExtractService extends EventEmitter {
+  constructor(source = createSource(config.source)) {
+    super();
+    this.source = source;
     this.timeout = config.api.timeout;
     this.retryAttempts = config.api.retryAttempts;
     this.retryDelay = config.api.retryDelay;
@@ -16,52 +25,121 @@ class ExtractService {
   }
 
   /**
-   * Fetch university data from the API with retry logic
-   * @returns {Promise<Array>} Array of university objects
+   * Extract university data from the configured source adapter
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} [options.signal] - Aborts in-flight requests
+   * @returns {Promise<Object>} Raw records with per-country counts, failures and the requests made
    */
-  async extractData() {
-    logger.info('Starting data extraction from universities API');
-    
+  async extractData({ signal } = {}) {
+    logger.info(`Starting data extraction from ${this.source.name} source`);
+
+    const extractedAt = new Date().toISOString();
+    const requests = [];
+    const onRequest = request => requests.push(request);
+    this.on('request', onRequest);
+
+    let result;
+    try {
+      result = await this.source.extract(this, { signal });
+    } finally {
+      this.off('request', onRequest);
+    }
+
+    const extraction = {
+      source: this.source.name,
+      data: result.data,
+      countries: result.countries || this.countByCountry(result.data),
+      failures: result.failures || [],
+      requests,
+      extractedAt
+    };
+
+    logger.info(`Extracted ${extraction.data.length} universities (${extraction.failures.length} country failures)`);
+
+    return extraction;
+  }
+
+  /**
+   * Fetch an array of records over HTTP with retry logic
+   * @param {Object} request - Request options (url, params, timeout, retryAttempts, retryDelay, signal)
+   * @param {string} label - Label used in log messages
+   * @param {Function} [select] - Picks the records array out of the response body
+   * @returns {Promise<Array>} Array of raw records
+   */
+  async fetchRecords(request, label, select = body => body) {
+    const retryAttempts = request.retryAttempts || this.retryAttempts;
     let lastError;
-    
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+
+    for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+      if (request.signal && request.signal.aborted) {
+        throw new CancelledError();
+      }
+
       try {
-        logger.info(`Extraction attempt ${attempt}/${this.retryAttempts}`);
-        
-        const response = await this.makeApiRequest();
-        
-        if (!response.data || !Array.isArray(response.data)) {
+        logger.info(`Extraction attempt ${attempt}/${retryAttempts} for ${label}`);
+        this.emit('attempt', { label, attempt, maxAttempts: retryAttempts });
+
+        const response = await this.makeApiRequest(request);
+        const records = response.data ? select(response.data) : undefined;
+
+        if (!records || !Array.isArray(records)) {
           throw new Error('Invalid response format: expected array of universities');
         }
-        
-        logger.info(`Successfully extracted ${response.data.length} universities`);
-        return response.data;
-        
+
+        logger.info(`Successfully extracted ${records.length} universities for ${label}`);
+        this.emit('success', { label, attempt, records: records.length });
+        this.emit('request', {
+          label,
+          url: request.url,
+          params: request.params || {},
+          status: response.status,
+          attempts: attempt,
+          records: records.length,
+          receivedAt: new Date().toISOString()
+        });
+        return records;
+
       } catch (error) {
+        if (error instanceof CancelledError) {
+          throw error;
+        }
+
         lastError = error;
-        logger.warn(`Extraction attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt < this.retryAttempts) {
-          const delay = this.calculateRetryDelay(attempt);
+        logger.warn(`Extraction attempt ${attempt} for ${label} failed: ${error.message}`);
+
+        if (attempt < retryAttempts) {
+          const delay = this.calculateRetryDelay(attempt, request.retryDelay);
           logger.info(`Retrying in ${delay}ms...`);
+          this.emit('retry', { label, attempt, delay, error: error.message });
           await this.sleep(delay);
         }
       }
     }
-    
-    logger.error(`All extraction attempts failed. Last error: ${lastError.message}`);
-    throw new Error(`Failed to extract data after ${this.retryAttempts} attempts: ${lastError.message}`);
+
+    logger.error(`All extraction attempts failed for ${label}. Last error: ${lastError.message}`);
+    this.emit('failure', { label, attempts: retryAttempts, error: lastError.message });
+    this.emit('request', {
+      label,
+      url: request.url,
+      params: request.params || {},
+      attempts: retryAttempts,
+      error: lastError.message
+    });
+    throw new Error(`Failed to extract data after ${retryAttempts} attempts: ${lastError.message}`);
   }
 
   /**
-   * Make HTTP request to the universities API
+   * Make HTTP GET request to a JSON API
+   * @param {Object} request - Request options (url, params, timeout, signal)
    * @returns {Promise<Object>} Axios response object
    */
-  async makeApiRequest() {
+  async makeApiRequest(request) {
     const requestConfig = {
       method: 'GET',
-      url: this.apiUrl,
-      timeout: this.timeout,
+      url: request.url,
+      params: request.params || {},
+      timeout: request.timeout || this.timeout,
+      signal: request.signal,
       headers: {
         'User-Agent': 'University-ETL-Service/1.0.0',
         'Accept': 'application/json'
@@ -69,14 +147,16 @@ class ExtractService {
       validateStatus: (status) => status >= 200 && status < 300
     };
 
-    logger.debug(`Making API request to: ${this.apiUrl}`);
+    logger.debug(`Making API request to: ${request.url}`);
     
     try {
       const response = await axios(requestConfig);
       logger.debug(`API request successful. Status: ${response.status}, Data length: ${response.data?.length || 0}`);
       return response;
     } catch (error) {
-      if (error.response) {
+      if (axios.isCancel(error)) {
+        throw new CancelledError();
+      } else if (error.response) {
         // Server responded with error status
         throw new Error(`API request failed with status ${error.response.status}: ${error.response.statusText}`);
       } else if (error.request) {
@@ -89,13 +169,29 @@ class ExtractService {
     }
   }
 
+  /**
+   * Count extracted records per country for sources that do not report it
+   * @param {Array} data - Raw records
+   * @returns {Object} Counts keyed by country name
+   */
+  countByCountry(data) {
+    const countries = {};
+    for (const record of data) {
+      const country = record && record.country ? record.country : 'Unknown';
+      countries[country] = countries[country] || { count: 0 };
+      countries[country].count++;
+    }
+    return countries;
+  }
+
   /**
    * Calculate retry delay with exponential backoff
    * @param {number} attempt - Current attempt number
+   * @param {number} [baseDelay] - Initial delay override
    * @returns {number} Delay in milliseconds
    */
-  calculateRetryDelay(attempt) {
-    const exponentialDelay = this.retryDelay * Math.pow(2, attempt - 1);
+  calculateRetryDelay(attempt, baseDelay = this.retryDelay) {
+    const exponentialDelay = baseDelay * Math.pow(2, attempt - 1);
     const jitter = Math.random() * 1000; // Add jitter to prevent thundering herd
     return Math.min(exponentialDelay + jitter, this.maxRetryDelay);
   }
@@ -110,34 +206,40 @@ class ExtractService {
   }
 
   /**
-   * Validate extracted data structure
+   * Validate every extracted record against the raw record schema and
+   * compare its fields with the Hipolabs format
    * @param {Array} data - Extracted data array
-   * @returns {boolean} True if data is valid
+   * @returns {Object} Schema report from validateRawRecords()
    */
-  validateExtractedData(data) {
-    if (!Array.isArray(data)) {
-      logger.error('Extracted data is not an array');
-      return false;
+  validateRawSchema(data) {
+    const report = validateRawRecords(data);
+
+    if (!report.valid) {
+      logger.error(`Extracted data failed validation: ${report.error}`);
+      return report;
     }
 
-    if (data.length === 0) {
+    if (report.records === 0) {
       logger.warn('Extracted data array is empty');
-      return true; // Empty array is still valid
     }
-
-    // Check if first item has expected structure
-    const sample = data[0];
-    const requiredFields = ['name', 'country'];
-    
-    for (const field of requiredFields) {
-      if (!(field in sample)) {
-        logger.error(`Missing required field '${field}' in extracted data`);
-        return false;
-      }
+    if (report.invalidRecords > 0) {
+      const fields = report.issues.map(issue => `${issue.field || 'record'} ${issue.message}`).join('; ');
+      logger.warn(`${report.invalidRecords} of ${report.records} extracted records do not match the raw schema: ${fields}`);
     }
+    if (report.drift.missing.length > 0 || report.drift.unexpected.length > 0) {
+      logger.warn(`Raw schema drift: missing [${report.drift.missing.join(', ')}], unexpected [${report.drift.unexpected.join(', ')}]`);
+    }
+
+    return report;
+  }
 
-    logger.info('Extracted data validation passed');
-    return true;
+  /**
+   * Validate extracted data structure
+   * @param {Array} data - Extracted data array
+   * @returns {boolean} True if data is valid
+   */
+  validateExtractedData(data) {
+    return this.validateRawSchema(data).valid;
   }
 }
 
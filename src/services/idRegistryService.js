@@ -0,0 +1,245 @@
+/**
+ * Id Registry Service - Keeps university ids stable across runs
+ *
+ * The registry remembers every id it has handed out together with the
+ * institution's country, state, name and known domains. Each run matches the
+ * freshly generated records against it, in order of confidence, each level
+ * in a pass over all records before the next:
+ *
+ *   1. id     - the generated slug is a registered id
+ *   2. alias  - the generated slug was mapped to a registered id before
+ *   3. domain - a registered institution in the same country has one of the domains
+ *   4. name   - a registered institution in the same country and state has the
+ *               same or a very similar normalized name
+ *
+ * Unmatched records get a new id: their slug, suffixed when already taken.
+ * Slugs and merged ids that resolve to a different id are kept as aliases.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/files');
+const { normalizeName, significantTokens, similarity } = require('../quality/similarity');
+
+const REGISTRY_VERSION = 1;
+
+class IdRegistryService {
+  constructor() {
+    this.path = path.join(config.storage.dataDir, config.storage.idRegistryFile);
+    this.nameSimilarity = config.quality.duplicates.nameSimilarity;
+  }
+
+  /**
+   * Read the registry. The first time, it is seeded with the ids of the
+   * published dataset so existing references keep working.
+   * @param {Array<Object>} seed - Currently published records
+   * @returns {Promise<Object>} Registry ({ version, entries, aliases })
+   */
+  async load(seed = []) {
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const registry = { version: REGISTRY_VERSION, entries: {}, aliases: {} };
+    const now = new Date().toISOString();
+    for (const record of seed) {
+      this.register(registry, record.id, record, now);
+    }
+
+    if (seed.length > 0) {
+      logger.info(`Seeded id registry with ${seed.length} published ids`);
+    }
+    return registry;
+  }
+
+  /**
+   * Persist the registry
+   * @param {Object} registry - Registry from assign()
+   */
+  async save(registry) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await writeFileAtomic(this.path, JSON.stringify(registry));
+  }
+
+  /**
+   * Give every record its stable id
+   * @param {Array<Object>} records - Transformed records carrying generated ids
+   * @param {Object} options
+   * @param {Array<Object>} [options.seed] - Published records, used when no registry exists yet
+   * @returns {Promise<Object>} { data, registry, report }; save() the registry once the data is published
+   */
+  async assign(records, { seed = [] } = {}) {
+    const registry = await this.load(seed);
+    const index = this.buildIndex(registry);
+    const claimed = new Set();
+    const now = new Date().toISOString();
+    const report = { matched: { id: 0, alias: 0, domain: 0, name: 0 }, minted: 0, renamed: [] };
+
+    // One pass per confidence level over all records, so a weaker match of an
+    // earlier record never takes the id a later record matches exactly
+    const matches = new Array(records.length).fill(null);
+    for (const pass of [this.matchId, this.matchDomain, this.matchName]) {
+      records.forEach((record, position) => {
+        if (matches[position]) {
+          return;
+        }
+        const match = pass.call(this, record, registry, index, this.availability(record, registry, claimed));
+        if (match) {
+          matches[position] = match;
+          claimed.add(match.id);
+        }
+      });
+    }
+
+    const data = records.map((record, position) => {
+      const match = matches[position];
+      const id = match ? match.id : this.mint(record.id, registry, claimed);
+      claimed.add(id);
+
+      if (match) {
+        report.matched[match.via]++;
+      } else {
+        report.minted++;
+      }
+
+      const previousIds = [record.id, ...(record.mergedIds || [])];
+      for (const previousId of previousIds) {
+        if (previousId !== id && !registry.entries[previousId]) {
+          registry.aliases[previousId] = id;
+        }
+      }
+
+      if (id !== record.id) {
+        report.renamed.push({ from: record.id, to: id, via: match ? match.via : 'minted' });
+      }
+
+      this.register(registry, id, record, now);
+      return id === record.id ? record : { ...record, id };
+    });
+
+    return { data, registry, report };
+  }
+
+  /**
+   * Build the test for registered ids a record may still take: unclaimed and in its country
+   * @returns {Function} id => boolean
+   */
+  availability(record, registry, claimed) {
+    const country = this.key(record.country);
+    return id => !claimed.has(id) && registry.entries[id] && this.key(registry.entries[id].country) === country;
+  }
+
+  matchId(record, registry, index, available) {
+    if (available(record.id)) {
+      return { id: record.id, via: 'id' };
+    }
+
+    const alias = registry.aliases[record.id];
+    if (alias && available(alias)) {
+      return { id: alias, via: 'alias' };
+    }
+
+    return null;
+  }
+
+  matchDomain(record, registry, index, available) {
+    for (const domain of record.domains || []) {
+      const id = (index.byDomain.get(domain) || []).find(available);
+      if (id) {
+        return { id, via: 'domain' };
+      }
+    }
+
+    return null;
+  }
+
+  matchName(record, registry, index, available) {
+    const country = this.key(record.country);
+    const name = normalizeName(record.name);
+    const sameState = id => {
+      const entry = registry.entries[id];
+      return !entry.stateProvince || !record.stateProvince || this.key(entry.stateProvince) === this.key(record.stateProvince);
+    };
+
+    const exact = (index.byName.get(`${country}|${name}`) || []).find(id => available(id) && sameState(id));
+    if (exact) {
+      return { id: exact, via: 'name' };
+    }
+
+    let best = null;
+    const candidates = new Set(significantTokens(name).flatMap(token => index.byToken.get(`${country}|${token}`) || []));
+    for (const id of candidates) {
+      if (!available(id) || !sameState(id)) {
+        continue;
+      }
+      const score = similarity(name, normalizeName(registry.entries[id].name));
+      if (score >= this.nameSimilarity && (!best || score > best.score)) {
+        best = { id, score };
+      }
+    }
+
+    return best ? { id: best.id, via: 'name' } : null;
+  }
+
+  mint(slug, registry, claimed) {
+    const taken = id => claimed.has(id) || registry.entries[id] || registry.aliases[id];
+    if (!taken(slug)) {
+      return slug;
+    }
+
+    let suffix = 2;
+    while (taken(`${slug}-${suffix}`)) {
+      suffix++;
+    }
+    return `${slug}-${suffix}`;
+  }
+
+  register(registry, id, record, now) {
+    const previous = registry.entries[id];
+    registry.entries[id] = {
+      name: record.name,
+      country: record.country,
+      stateProvince: record.stateProvince || null,
+      domains: [...new Set([...(previous ? previous.domains : []), ...(record.domains || [])])],
+      firstSeen: previous ? previous.firstSeen : now,
+      lastSeen: now
+    };
+  }
+
+  buildIndex(registry) {
+    const index = { byDomain: new Map(), byName: new Map(), byToken: new Map() };
+    const add = (map, key, id) => {
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      map.get(key).push(id);
+    };
+
+    for (const [id, entry] of Object.entries(registry.entries)) {
+      const country = this.key(entry.country);
+      const name = normalizeName(entry.name);
+
+      for (const domain of entry.domains) {
+        add(index.byDomain, domain, id);
+      }
+      add(index.byName, `${country}|${name}`, id);
+      for (const token of significantTokens(name)) {
+        add(index.byToken, `${country}|${token}`, id);
+      }
+    }
+
+    return index;
+  }
+
+  key(value) {
+    return String(value || '').toLowerCase();
+  }
+}
+
+module.exports = IdRegistryService;
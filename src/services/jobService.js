@@ -0,0 +1,127 @@
+/**
+ * Job Service - Runs manual ETL executions in the background and tracks their progress
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { CancelledError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobService {
+  constructor({ scheduler }) {
+    this.scheduler = scheduler;
+    this.jobs = new Map();
+    this.maxFinishedJobs = 50;
+  }
+
+  /**
+   * Start a manual ETL run without waiting for it to finish
+   * @param {Object} [options]
+   * @param {string} [options.archive] - Reprocess this archived payload instead of extracting
+   * @returns {Object} The new job
+   */
+  enqueue({ archive } = {}) {
+    if (this.scheduler.running) {
+      throw new ConflictError('ETL already running');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      stage: null,
+      runId: null,
+      progress: { extracted: 0, transformed: 0, loaded: 0 },
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    const controller = new AbortController();
+
+    this.jobs.set(job.id, { job, controller });
+    this.pruneFinished();
+
+    // runManual claims the scheduler's running flag synchronously, before this returns
+    const execution = this.scheduler.runManual({
+      archive,
+      signal: controller.signal,
+      onProgress: ({ runId, stage, counts }) => {
+        job.runId = runId;
+        job.stage = stage;
+        job.progress = counts;
+      }
+    });
+
+    execution
+      .then(run => {
+        job.status = 'completed';
+        job.result = run;
+      })
+      .catch(error => {
+        // Errors thrown by ETLService#run() carry the recorded run
+        job.status = error instanceof CancelledError ? 'cancelled' : 'failed';
+        job.result = error.run || null;
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        logger.info(`Job ${job.id} ${job.status}`);
+      });
+
+    logger.info(`Job ${job.id} started`);
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job id
+   * @returns {Object} Job
+   */
+  get(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      throw new NotFoundError(`Job ${id} not found`);
+    }
+    return entry.job;
+  }
+
+  /**
+   * Jobs, newest first
+   * @returns {Array} Jobs
+   */
+  list() {
+    return [...this.jobs.values()].map(entry => entry.job).reverse();
+  }
+
+  /**
+   * Request cancellation of a running job. In-flight API requests are aborted;
+   * a job that has already started loading finishes normally.
+   * @param {string} id - Job id
+   * @returns {Object} Job
+   */
+  cancel(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      throw new NotFoundError(`Job ${id} not found`);
+    }
+
+    if (FINISHED_STATUSES.includes(entry.job.status)) {
+      throw new ConflictError(`Job ${id} has already ${entry.job.status}`);
+    }
+
+    entry.controller.abort();
+    entry.job.status = 'cancelling';
+    logger.info(`Cancellation requested for job ${id}`);
+    return entry.job;
+  }
+
+  pruneFinished() {
+    const finished = [...this.jobs.values()].filter(entry => FINISHED_STATUSES.includes(entry.job.status));
+    for (const entry of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+      this.jobs.delete(entry.job.id);
+    }
+  }
+}
+
+module.exports = JobService;
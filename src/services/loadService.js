@@ -1,14 +1,34 @@
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../config');
+const BackupService = require('./backupService');
+const ManifestService = require('./manifestService');
+const { createStorage } = require('../storage');
+const { toCsv } = require('../export/csv');
+const { writeFileAtomic, checksumFile, removeTempFiles } = require('../utils/files');
 
-class LoadService {
-  constructor() {
+/**
+ * Emits 'saved' with the dataset whenever a new dataset is published.
+ *
+ * Every file is written atomically, and the manifest is written last: it
+ * names the dataset, CSV and backup of the latest complete save together
+ * with their checksums, which recover() checks at startup.
+ */
+class LoadService extends EventEmitter {
+  /**
+   * @param {Object} storage - Storage backend; defaults to the one selected by configuration
+   */
+  constructor(storage = createStorage(config.storage)) {
+    super();
+    this.storage = storage;
     this.dataDir = config.storage.dataDir;
-    this.jsonPath = path.join(this.dataDir, config.storage.jsonFile);
     this.csvPath = path.join(this.dataDir, config.storage.csvFile);
     this.backupDir = config.storage.backupDir;
+    this.archiveDir = config.storage.archiveDir;
+    this.backups = new BackupService();
+    this.manifests = new ManifestService();
   }
 
   async ensureDirectories() {
@@ -20,78 +40,220 @@ class LoadService {
     logger.info('Saving data to storage');
     
     await this.ensureDirectories();
-    await this.backupExisting();
+    const backup = await this.backupExisting();
     
-    // Save JSON
-    await fs.writeFile(this.jsonPath, JSON.stringify(data, null, 2));
+    const { dataset, stored } = await this.store(data);
     
     // Generate CSV
-    await this.generateCsv(data.data);
+    const csv = await this.generateCsv(stored.data);
+
+    await this.writeManifest(stored, { dataset, csv, backup: await this.describeBackup(backup) });
     
-    logger.info(`Saved ${data.data.length} records`);
+    logger.info(`Saved ${stored.data.length} records`);
+    this.emit('saved', stored);
+
+    await this.backups.prune();
     
     return {
-      recordsLoaded: data.data.length,
-      jsonPath: this.jsonPath,
+      recordsLoaded: stored.data.length,
+      storage: this.storage.name,
+      storagePath: this.storage.path,
       csvPath: this.csvPath
     };
   }
 
+  /**
+   * Write a dataset to storage. Backends that key records by id keep one
+   * record per id, so when fewer records were stored than given the stored
+   * dataset is read back and published instead.
+   * @param {Object} data - Dataset ({ data, metadata })
+   * @returns {Promise<Object>} { dataset, stored }: manifest descriptor and the dataset as stored
+   */
+  async store(data) {
+    const { descriptor, records } = await this.storage.write(data);
+    if (records === data.data.length) {
+      return { dataset: descriptor, stored: data };
+    }
+
+    logger.warn(`${data.data.length - records} records share an id with another record and were stored once`);
+    return { dataset: descriptor, stored: await this.storage.read() };
+  }
+
   async backupExisting() {
+    // Null when nothing has been stored yet
+    return this.storage.backup(this.backups);
+  }
+
+  async restoreBackup(name) {
+    const data = await this.backups.read(name);
+    if (!data || !Array.isArray(data.data)) {
+      throw new Error(`Backup '${name}' does not contain a dataset`);
+    }
+
+    logger.info(`Restoring backup ${name}`);
+
+    await this.ensureDirectories();
+    // Back up the current dataset so the restore itself can be rolled back
+    const previousBackup = await this.backupExisting();
+
+    const { dataset, stored } = await this.store(data);
+    const csv = await this.generateCsv(stored.data);
+    await this.writeManifest(stored, {
+      dataset,
+      csv,
+      backup: await this.describeBackup(previousBackup),
+      restoredFrom: name
+    });
+
+    logger.info(`Restored ${stored.data.length} records from ${name}`);
+    this.emit('saved', stored);
+
+    return {
+      restored: name,
+      recordsLoaded: stored.data.length,
+      previousBackup
+    };
+  }
+
+  /**
+   * Check the stored dataset at startup. A dataset that cannot be read is set
+   * aside and replaced by the newest readable backup; a readable dataset that
+   * does not match the manifest (a save interrupted before the manifest was
+   * written) gets its CSV and manifest rebuilt.
+   * @returns {Promise<Object>} { status: 'ok'|'empty'|'repaired'|'recovered'|'unrecoverable', ... }
+   */
+  async recover() {
+    await this.ensureDirectories();
+
+    // Atomic writes land in the data, backup and archive directories
+    const removed = [];
+    for (const dir of [this.dataDir, this.backupDir, this.archiveDir]) {
+      removed.push(...await removeTempFiles(dir));
+    }
+    if (removed.length > 0) {
+      logger.warn(`Removed ${removed.length} incomplete temporary files`);
+    }
+
+    const manifest = await this.manifests.read();
+
+    let data;
     try {
-      await fs.access(this.jsonPath);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(this.backupDir, `universities-${timestamp}.json`);
-      await fs.copyFile(this.jsonPath, backupPath);
-      logger.info('Created backup');
+      data = await this.storage.read();
+      if (data && !Array.isArray(data.data)) {
+        throw new Error('dataset has no data array');
+      }
     } catch (error) {
-      // File does not exist, no backup needed
+      logger.error(`Stored dataset is unreadable: ${error.message}`);
+      return this.recoverFromBackup(error.message);
+    }
+
+    if (!data) {
+      // A manifest without a dataset means the dataset was lost
+      return manifest ? this.recoverFromBackup('dataset is missing') : { status: 'empty' };
     }
+
+    if (await this.matchesManifest(manifest)) {
+      return { status: 'ok', records: data.data.length };
+    }
+
+    logger.warn('Stored dataset does not match the manifest, rebuilding CSV and manifest');
+    const csv = await this.generateCsv(data.data);
+    await this.writeManifest(data, {
+      dataset: await this.storage.describe(),
+      csv,
+      backup: manifest ? manifest.backup : null
+    });
+
+    return { status: 'repaired', records: data.data.length };
   }
 
-  async generateCsv(data) {
-    if (!data || data.length === 0) return;
+  async recoverFromBackup(reason) {
+    const setAside = await this.storage.setAside();
+    if (setAside) {
+      logger.warn(`Moved unreadable dataset to ${setAside}`);
+    }
 
-    const headers = ['id', 'name', 'country', 'alphaCode', 'state', 'domains', 'webPages', 'updatedAt'];
-    const csvLines = [headers.join(',')];
-    
-    for (const record of data) {
-      const row = headers.map(header => {
-        let value = record[header];
-        
-        if (Array.isArray(value)) {
-          value = value.join(';');
-        }
-        
-        if (value === null || value === undefined) {
-          value = '';
-        }
-        
-        value = String(value);
-        if (value.includes(',') || value.includes('"')) {
-          value = `"${value.replace(/"/g, '""')}"`;
-        }
-        
-        return value;
-      });
-      
-      csvLines.push(row.join(','));
+    for (const backup of await this.backups.list()) {
+      let data;
+      try {
+        data = await this.backups.read(backup.name);
+      } catch (error) {
+        logger.warn(`Skipping unreadable backup ${backup.name}: ${error.message}`);
+        continue;
+      }
+
+      if (!data || !Array.isArray(data.data)) {
+        logger.warn(`Skipping backup ${backup.name}: no dataset`);
+        continue;
+      }
+
+      const { dataset, stored } = await this.store(data);
+      const csv = await this.generateCsv(stored.data);
+      await this.writeManifest(stored, { dataset, csv, backup: null, recoveredFrom: backup.name });
+
+      logger.warn(`Recovered ${stored.data.length} records from backup ${backup.name}`);
+      this.emit('saved', stored);
+
+      return { status: 'recovered', backup: backup.name, records: stored.data.length, reason };
+    }
+
+    logger.error('No readable backup to recover from');
+    return { status: 'unrecoverable', reason };
+  }
+
+  /**
+   * Whether the stored dataset and CSV are the ones the manifest describes
+   */
+  async matchesManifest(manifest) {
+    if (!manifest || manifest.storage !== this.storage.name) {
+      return false;
+    }
+
+    if (!this.manifests.matches(manifest.dataset, await this.storage.describe())) {
+      return false;
     }
 
-    await fs.writeFile(this.csvPath, csvLines.join('\n'));
+    return !manifest.csv || this.manifests.matches(manifest.csv, await this.describeCsv());
+  }
+
+  writeManifest(data, entries) {
+    return this.manifests.write({
+      storage: this.storage.name,
+      records: data.data.length,
+      ...entries
+    });
+  }
+
+  async describeCsv() {
+    const checksum = await checksumFile(this.csvPath);
+    return checksum ? { file: path.basename(this.csvPath), ...checksum } : null;
+  }
+
+  async describeBackup(name) {
+    if (!name) {
+      return null;
+    }
+    return { name, ...await checksumFile(path.join(this.backups.backupDir, name)) };
+  }
+
+  /**
+   * Write the CSV export. An empty dataset still gets a header-only file, so
+   * the pre-generated download never serves rows from an older dataset.
+   * @param {Array} data - Transformed records
+   * @returns {Promise<Object>} { file, sha256, size }
+   */
+  async generateCsv(data = []) {
+    const checksum = await writeFileAtomic(this.csvPath, this.toCsv(data));
     logger.info(`Generated CSV with ${data.length} records`);
+    return { file: path.basename(this.csvPath), ...checksum };
+  }
+
+  toCsv(data, options) {
+    return toCsv(data, options);
   }
 
   async readData() {
-    try {
-      const content = await fs.readFile(this.jsonPath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null;
-      }
-      throw error;
-    }
+    return this.storage.read();
   }
 }
 
@@ -0,0 +1,84 @@
+/**
+ * Manifest Service - Records which dataset, CSV and backup belong together
+ *
+ * {
+ *   "version": 1,
+ *   "writtenAt": "2025-05-16T00:00:00.000Z",
+ *   "storage": "file",
+ *   "records": 4500,
+ *   "dataset": { "file": "universities.json", "sha256": "...", "size": 123 },
+ *   "csv": { "file": "universities.csv", "sha256": "...", "size": 45 },
+ *   "backup": { "name": "universities-2025-05-15T00-00-00-000Z.json", "sha256": "...", "size": 120 }
+ * }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { writeFileAtomic } = require('../utils/files');
+
+const MANIFEST_VERSION = 1;
+
+class ManifestService {
+  constructor() {
+    this.path = path.join(config.storage.dataDir, config.storage.manifestFile);
+  }
+
+  /**
+   * Read the manifest
+   * @returns {Promise<Object|null>} Manifest, or null when missing or unreadable
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      logger.warn(`Ignoring unreadable manifest ${this.path}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the manifest
+   * @param {Object} entries - Storage, record count and file descriptors
+   * @returns {Promise<Object>} Manifest as written
+   */
+  async write(entries) {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      writtenAt: new Date().toISOString(),
+      ...entries
+    };
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await writeFileAtomic(this.path, JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  /**
+   * Compare two file descriptors (dataset, csv or backup entries)
+   * @param {Object|null} expected - Descriptor from the manifest
+   * @param {Object|null} actual - Descriptor of the file on disk
+   * @returns {boolean} Whether they describe the same content
+   */
+  matches(expected, actual) {
+    if (!expected || !actual) {
+      return !expected && !actual;
+    }
+
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => expected[key] === actual[key]);
+  }
+}
+
+module.exports = ManifestService;
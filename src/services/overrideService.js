@@ -0,0 +1,272 @@
+/**
+ * Override Service - Curated corrections merged into the source data on every run
+ *
+ * Overrides live in data/overrides.json, keyed by published university id, and
+ * can be edited there or through the API. Each one patches individual fields:
+ *
+ *   name, country              - replaced by a non-empty string
+ *   alphaCode, stateProvince   - replaced by a string, or cleared with null
+ *   domains, webPages          - replaced by an array, or changed with { add, remove }
+ *
+ * Fields the override changed are listed in the record's overriddenFields, and
+ * the run report keeps the source and override value of each. An override, or
+ * one of its fields, is stale once the source already has the overriding value.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/files');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const STORE_VERSION = 1;
+const STATUSES = ['applied', 'stale', 'orphaned', 'invalid'];
+const FIELDS = {
+  name: 'string',
+  country: 'string',
+  alphaCode: 'nullable',
+  stateProvince: 'nullable',
+  domains: 'array',
+  webPages: 'array'
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class OverrideService {
+  /**
+   * @param {Object} options
+   * @param {TransformService} options.transform - Normalizes override values like source values
+   */
+  constructor({ transform }) {
+    this.transform = transform;
+    this.path = path.join(config.storage.dataDir, config.storage.overridesFile);
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: STORE_VERSION, overrides: {} };
+      }
+      throw new Error(`Cannot read overrides from ${this.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read, change and write the store, one change at a time
+   * @param {Function} change - Receives the store and returns the result
+   * @returns {Promise<*>} Result of change
+   */
+  update(change) {
+    const result = this.pending.then(async () => {
+      const store = await this.load();
+      const value = await change(store);
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await writeFileAtomic(this.path, JSON.stringify(store, null, 2));
+      return value;
+    });
+
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Merge the overrides into transformed records
+   * @param {Array<Object>} records - Records carrying their published ids
+   * @returns {Promise<Object>} { data, report } where report has a summary and one entry per override
+   */
+  async apply(records) {
+    const { overrides } = await this.load();
+    const positions = new Map(records.map((record, index) => [record.id, index]));
+    const data = records.slice();
+    const entries = [];
+
+    for (const [id, override] of Object.entries(overrides)) {
+      let fields;
+      try {
+        fields = this.normalize(override.fields);
+      } catch (error) {
+        logger.warn(`Skipping invalid override for '${id}': ${error.message}`);
+        entries.push({ id, status: 'invalid', error: error.message });
+        continue;
+      }
+
+      if (!positions.has(id)) {
+        entries.push({ id, status: 'orphaned' });
+        continue;
+      }
+
+      const record = { ...data[positions.get(id)] };
+      const provenance = {};
+      const staleFields = [];
+
+      for (const [field, patch] of Object.entries(fields)) {
+        const source = record[field] === undefined ? null : record[field];
+        const value = this.patchValue(source, patch);
+        if (sameValue(source, value)) {
+          staleFields.push(field);
+          continue;
+        }
+        record[field] = value;
+        provenance[field] = { source, override: value };
+      }
+
+      const changed = Object.keys(provenance);
+      if (changed.length > 0) {
+        record.overriddenFields = changed;
+        data[positions.get(id)] = record;
+      }
+
+      entries.push({ id, status: changed.length > 0 ? 'applied' : 'stale', fields: provenance, staleFields });
+    }
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+    const report = {
+      summary: {
+        total: entries.length,
+        applied: count('applied'),
+        stale: count('stale'),
+        orphaned: count('orphaned'),
+        invalid: count('invalid'),
+        staleFields: entries.reduce((sum, entry) => sum + (entry.staleFields ? entry.staleFields.length : 0), 0)
+      },
+      overrides: entries
+    };
+
+    if (report.summary.stale > 0 || report.summary.orphaned > 0) {
+      logger.info(`Overrides: ${report.summary.stale} stale, ${report.summary.orphaned} without a matching university`);
+    }
+
+    return { data, report };
+  }
+
+  /**
+   * List overrides with the outcome of the last run
+   * @param {Object} [query] - Query parameters
+   * @param {string} [query.status] - Only overrides the last run reported with this status
+   * @param {Object} [report] - Override report from the published dataset metadata
+   * @returns {Promise<Object>} { total, overrides }
+   */
+  async list({ status } = {}, report) {
+    if (status && !STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status '${status}'. Expected one of: ${STATUSES.join(', ')}`);
+    }
+
+    const { overrides } = await this.load();
+    const results = Object.entries(overrides)
+      .map(([id, override]) => this.describe(id, override, report))
+      .filter(override => !status || (override.lastRun && override.lastRun.status === status));
+
+    return { total: results.length, overrides: results };
+  }
+
+  async get(id, report) {
+    const { overrides } = await this.load();
+    if (!overrides[id]) {
+      throw new NotFoundError(`No override for university '${id}'`);
+    }
+    return this.describe(id, overrides[id], report);
+  }
+
+  /**
+   * Create or replace the override for a university
+   * @param {string} id - Published university id
+   * @param {Object} override - { fields, note }
+   * @returns {Promise<Object>} Stored override
+   */
+  async put(id, { fields, note } = {}) {
+    const normalized = this.normalize(fields);
+
+    return this.update(store => {
+      const now = new Date().toISOString();
+      const existing = store.overrides[id];
+      store.overrides[id] = {
+        fields: normalized,
+        note: note || null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+      return this.describe(id, store.overrides[id]);
+    });
+  }
+
+  remove(id) {
+    return this.update(store => {
+      if (!store.overrides[id]) {
+        throw new NotFoundError(`No override for university '${id}'`);
+      }
+      delete store.overrides[id];
+      return { id, removed: true };
+    });
+  }
+
+  describe(id, override, report) {
+    const lastRun = report ? report.overrides.find(entry => entry.id === id) : null;
+    return { id, ...override, lastRun: lastRun || null };
+  }
+
+  /**
+   * Check override fields and normalize their values the way the transform does
+   * @param {Object} fields - Field patches
+   * @returns {Object} Normalized field patches
+   */
+  normalize(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new ValidationError('An override needs a fields object with at least one field');
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const type = FIELDS[field];
+      if (!type) {
+        throw new ValidationError(`Field '${field}' cannot be overridden. Expected any of: ${Object.keys(FIELDS).join(', ')}`);
+      }
+
+      if (type === 'array') {
+        normalized[field] = this.normalizeArray(field, value);
+      } else if (value === null && type === 'nullable') {
+        normalized[field] = null;
+      } else if (typeof value === 'string' && value.trim() !== '') {
+        normalized[field] = this.transform.sanitizeString(value);
+      } else {
+        throw new ValidationError(`Field '${field}' must be a non-empty string${type === 'nullable' ? ' or null' : ''}`);
+      }
+    }
+
+    return normalized;
+  }
+
+  normalizeArray(field, value) {
+    const clean = values => (field === 'domains' ? this.transform.transformDomains(values) : this.transform.transformWebPages(values));
+    const isList = values => Array.isArray(values) && values.every(item => typeof item === 'string');
+
+    if (isList(value)) {
+      return clean(value);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const unknown = Object.keys(value).filter(key => key !== 'add' && key !== 'remove');
+      const { add = [], remove = [] } = value;
+      if (unknown.length === 0 && isList(add) && isList(remove) && add.length + remove.length > 0) {
+        return { add: clean(add), remove: clean(remove) };
+      }
+    }
+
+    throw new ValidationError(`Field '${field}' must be an array of strings or { add, remove } arrays`);
+  }
+
+  patchValue(source, patch) {
+    if (patch === null || typeof patch === 'string' || Array.isArray(patch)) {
+      return patch;
+    }
+
+    const current = Array.isArray(source) ? source : [];
+    return [...current, ...patch.add.filter(item => !current.includes(item))]
+      .filter(item => !patch.remove.includes(item));
+  }
+}
+
+module.exports = OverrideService;
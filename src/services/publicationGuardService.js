@@ -0,0 +1,95 @@
+/**
+ * Publication Guard Service - Decides whether a run's dataset may replace the published one
+ *
+ * Guards (a limit of 0 disables the guard):
+ *
+ *   minRecords      - at least this many records would be published
+ *   maxDropPercent  - the record count drops by at most this percentage of the published dataset
+ *   maxErrorPercent - at most this percentage of the extracted records was rejected by the transform
+ *   schemaDrift     - raw schema drift reported by the extract stage:
+ *                     'missing' fails when a schema field is absent from every record,
+ *                     'any' also fails on fields outside the schema, 'off' only reports
+ */
+
+const config = require('../config');
+
+const DRIFT_POLICIES = ['missing', 'any', 'off'];
+
+const round = value => Math.round(value * 100) / 100;
+
+class PublicationGuardService {
+  constructor(settings = config.publication) {
+    if (!DRIFT_POLICIES.includes(settings.schemaDrift)) {
+      throw new Error(`Invalid schema drift policy '${settings.schemaDrift}'. Expected one of: ${DRIFT_POLICIES.join(', ')}`);
+    }
+    this.settings = settings;
+  }
+
+  /**
+   * Run every guard against a transformed dataset
+   * @param {Object} candidate
+   * @param {Object} candidate.drift - Raw schema drift ({ missing, unexpected }) from the extract stage
+   * @param {Object} candidate.transformResult - Result of the transform stage
+   * @param {Array<Object>|null} candidate.previous - Published records, null when there are none
+   * @returns {Object} { passed, checks, violations } with the measured value of each guard
+   */
+  check({ drift, transformResult, previous }) {
+    const { minRecords, maxDropPercent, maxErrorPercent, schemaDrift } = this.settings;
+    const count = transformResult.data.length;
+    const { totalRecords, failedTransformations } = transformResult.metadata;
+    const violations = [];
+
+    const checks = {
+      records: count,
+      dropPercent: previous && previous.length > 0 ? round((previous.length - count) / previous.length * 100) : 0,
+      errorPercent: totalRecords > 0 ? round(failedTransformations / totalRecords * 100) : 0,
+      schemaDrift: { missing: drift.missing, unexpected: drift.unexpected }
+    };
+
+    if (minRecords > 0 && count < minRecords) {
+      violations.push({
+        guard: 'minRecords',
+        limit: minRecords,
+        actual: count,
+        message: `Only ${count} records, below the minimum of ${minRecords}`
+      });
+    }
+
+    if (maxDropPercent > 0 && checks.dropPercent > maxDropPercent) {
+      violations.push({
+        guard: 'maxDropPercent',
+        limit: maxDropPercent,
+        actual: checks.dropPercent,
+        message: `Record count dropped ${checks.dropPercent}% from ${previous.length} to ${count}, more than ${maxDropPercent}%`
+      });
+    }
+
+    if (maxErrorPercent > 0 && checks.errorPercent > maxErrorPercent) {
+      violations.push({
+        guard: 'maxErrorPercent',
+        limit: maxErrorPercent,
+        actual: checks.errorPercent,
+        message: `${checks.errorPercent}% of records were rejected, more than ${maxErrorPercent}%`
+      });
+    }
+
+    const { missing, unexpected } = checks.schemaDrift;
+    if (schemaDrift !== 'off' && (missing.length > 0 || (schemaDrift === 'any' && unexpected.length > 0))) {
+      const problems = [
+        missing.length > 0 && `missing ${missing.join(', ')}`,
+        schemaDrift === 'any' && unexpected.length > 0 && `unexpected ${unexpected.join(', ')}`
+      ].filter(Boolean);
+
+      violations.push({
+        guard: 'schemaDrift',
+        limit: schemaDrift,
+        actual: { missing, unexpected },
+        message: `Raw payload schema drift: ${problems.join('; ')}`
+      });
+    }
+
+    return { passed: violations.length === 0, checks, violations };
+  }
+}
+
+module.exports = PublicationGuardService;
@@ -0,0 +1,90 @@
+/**
+ * Quality Service - Applies the data quality rules with their configured severities
+ *
+ * Severities: 'error' rejects the record, 'warning' keeps it with the rule
+ * listed in its qualityFlags, 'off' skips the rule.
+ */
+
+const config = require('../config');
+const { RULES } = require('../quality/rules');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+class QualityService {
+  /**
+   * @param {Object} settings - Quality settings ({ rules: { name: severity }, nameLength: { min, max } })
+   */
+  constructor(settings = config.quality) {
+    const overrides = settings.rules || {};
+
+    const unknown = Object.keys(overrides).filter(name => !RULES.some(rule => rule.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown quality rule(s) '${unknown.join(', ')}'. Expected any of: ${RULES.map(rule => rule.name).join(', ')}`);
+    }
+
+    this.rules = RULES.map(rule => {
+      const severity = overrides[rule.name] || rule.severity;
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity '${severity}' for quality rule '${rule.name}'. Expected one of: ${SEVERITIES.join(', ')}`);
+      }
+      return { ...rule, severity };
+    });
+
+    this.options = { nameLength: settings.nameLength };
+  }
+
+  /**
+   * Run every enabled rule against a record
+   * @param {Object} record - Transformed record
+   * @returns {Array<Object>} Issues ({ rule, severity, message })
+   */
+  evaluate(record) {
+    const issues = [];
+
+    for (const rule of this.rules) {
+      if (rule.severity === 'off') {
+        continue;
+      }
+
+      const message = rule.check(record, this.options);
+      if (message) {
+        issues.push({ rule: rule.name, severity: rule.severity, message });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create an empty hit report for one transform run
+   * @returns {Object} { rules: { name: { severity, hits } }, flaggedRecords, rejectedRecords }
+   */
+  createReport() {
+    const rules = {};
+    for (const rule of this.rules) {
+      rules[rule.name] = { severity: rule.severity, hits: 0 };
+    }
+    return { rules, flaggedRecords: 0, rejectedRecords: 0 };
+  }
+
+  /**
+   * Count a record's issues in a report
+   * @param {Object} report - Report from createReport()
+   * @param {Array<Object>} issues - Issues from evaluate()
+   */
+  tally(report, issues) {
+    for (const issue of issues) {
+      report.rules[issue.rule].hits++;
+    }
+
+    if (issues.some(issue => issue.severity === 'error')) {
+      report.rejectedRecords++;
+    } else if (issues.length > 0) {
+      report.flaggedRecords++;
+    }
+  }
+}
+
+QualityService.RULES = RULES;
+
+module.exports = QualityService;
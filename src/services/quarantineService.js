@@ -0,0 +1,288 @@
+/**
+ * Quarantine Service - Keeps rejected source records for review
+ *
+ * Entries are keyed by the fingerprint of the raw record, so a record that is
+ * rejected again on a later run updates its existing entry. Statuses:
+ *
+ *   pending    - rejected and waiting for review
+ *   fixed      - a corrected version was submitted; it replaces the raw record on later runs
+ *   overridden - accepted as-is; quality rule errors are downgraded to flags on later runs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/files');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+
+const STATUSES = ['pending', 'fixed', 'overridden'];
+const MAX_PAGE_SIZE = 100;
+
+class QuarantineService {
+  /**
+   * @param {Object} options
+   * @param {TransformService} options.transform - Used to check submitted fixes
+   */
+  constructor({ transform }) {
+    this.transform = transform;
+    this.path = path.join(config.storage.dataDir, config.storage.quarantineFile);
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read, change and write the store, one change at a time
+   * @param {Function} change - Receives the store and returns the result
+   * @returns {Promise<*>} Result of change
+   */
+  update(change) {
+    const result = this.pending.then(async () => {
+      const store = await this.load();
+      const value = await change(store);
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await writeFileAtomic(this.path, JSON.stringify(store, null, 2));
+      return value;
+    });
+
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Decisions to apply during the next transform
+   * @returns {Promise<Map>} Fingerprint to { fix } or { override: true }
+   */
+  async getReplay() {
+    const { entries } = await this.load();
+    const replay = new Map();
+
+    for (const entry of Object.values(entries)) {
+      if (entry.status === 'fixed') {
+        replay.set(entry.id, { fix: entry.fix.record });
+      } else if (entry.status === 'overridden') {
+        replay.set(entry.id, { override: true });
+      }
+    }
+
+    return replay;
+  }
+
+  /**
+   * Store the records a run rejected and note the decisions it applied
+   * @param {Object} metadata - Transform metadata ({ errors, replayed })
+   * @param {string} runId - Run that produced them
+   * @returns {Promise<Object>} { quarantined, added, applied }
+   */
+  record({ errors = [], replayed = { fixed: [], overridden: [] } }, runId) {
+    return this.update(store => {
+      const now = new Date().toISOString();
+      let added = 0;
+
+      for (const error of errors) {
+        const existing = store.entries[error.fingerprint];
+        if (!existing) {
+          added++;
+        }
+
+        const entry = existing || {
+          id: error.fingerprint,
+          status: 'pending',
+          record: error.record,
+          firstSeen: now,
+          occurrences: 0,
+          fix: null,
+          override: null
+        };
+
+        Object.assign(entry, {
+          code: error.code,
+          rules: error.rules || [],
+          message: error.error,
+          country: error.record && typeof error.record.country === 'string' ? error.record.country : null,
+          lastSeen: now,
+          lastRunId: runId,
+          occurrences: entry.occurrences + 1
+        });
+
+        // A fix that no longer passes (e.g. the rules changed) needs another review
+        if (error.replayed === 'fix') {
+          entry.status = 'pending';
+          entry.fix = { ...entry.fix, failedAt: now, failure: error.error };
+        }
+
+        store.entries[entry.id] = entry;
+      }
+
+      const applied = [...replayed.fixed, ...replayed.overridden];
+      for (const id of applied) {
+        if (store.entries[id]) {
+          store.entries[id].lastAppliedAt = now;
+          store.entries[id].lastRunId = runId;
+        }
+      }
+
+      if (errors.length > 0) {
+        logger.info(`Quarantined ${errors.length} rejected records (${added} new)`);
+      }
+
+      return { quarantined: errors.length, added, applied: applied.length };
+    });
+  }
+
+  /**
+   * List entries with filters and pagination
+   * @param {Object} query - Query parameters
+   * @param {string} [query.status] - pending | fixed | overridden
+   * @param {string} [query.code] - Reason code
+   * @param {string} [query.rule] - Quality rule name
+   * @param {string} [query.country] - Country of the raw record
+   * @param {number|string} [query.page] - 1-based page number
+   * @param {number|string} [query.pageSize] - Entries per page
+   * @returns {Promise<Object>} Page of entries with pagination info
+   */
+  async query(query = {}) {
+    const filters = this.parseQuery(query);
+    const { entries } = await this.load();
+
+    const matches = Object.values(entries)
+      .filter(entry =>
+        (!filters.status || entry.status === filters.status) &&
+        (!filters.code || entry.code === filters.code) &&
+        (!filters.rule || entry.rules.includes(filters.rule)) &&
+        (!filters.country || (entry.country || '').toLowerCase() === filters.country.toLowerCase())
+      )
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+    const offset = (filters.page - 1) * filters.pageSize;
+
+    return {
+      total: matches.length,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      totalPages: Math.ceil(matches.length / filters.pageSize),
+      entries: matches.slice(offset, offset + filters.pageSize)
+    };
+  }
+
+  async get(id) {
+    const { entries } = await this.load();
+    if (!entries[id]) {
+      throw new NotFoundError(`Quarantined record '${id}' not found`);
+    }
+    return entries[id];
+  }
+
+  /**
+   * Submit a corrected raw record; it must pass the transform as it stands
+   * @param {string} id - Entry id
+   * @param {Object} fix - { record, note }
+   * @returns {Promise<Object>} Updated entry
+   */
+  async submitFix(id, { record, note } = {}) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new ValidationError('A corrected record object is required');
+    }
+
+    try {
+      this.transform.transformRecord(record, 0);
+    } catch (error) {
+      throw new ValidationError(`Corrected record is still rejected: ${error.message}`);
+    }
+
+    return this.decide(id, entry => {
+      entry.status = 'fixed';
+      entry.fix = { record, note: note || null, submittedAt: new Date().toISOString() };
+      entry.override = null;
+    });
+  }
+
+  /**
+   * Accept a record rejected by quality rules as it is
+   * @param {string} id - Entry id
+   * @param {Object} override - { note }
+   * @returns {Promise<Object>} Updated entry
+   */
+  async submitOverride(id, { note } = {}) {
+    return this.decide(id, entry => {
+      if (entry.code !== 'QUALITY_RULE') {
+        throw new ConflictError(`Only records rejected by quality rules can be overridden; this one failed with ${entry.code}`);
+      }
+      entry.status = 'overridden';
+      entry.override = { note: note || null, submittedAt: new Date().toISOString() };
+      entry.fix = null;
+    });
+  }
+
+  /**
+   * Withdraw a fix or override
+   * @param {string} id - Entry id
+   * @returns {Promise<Object>} Updated entry
+   */
+  reset(id) {
+    return this.decide(id, entry => {
+      entry.status = 'pending';
+      entry.fix = null;
+      entry.override = null;
+    });
+  }
+
+  decide(id, change) {
+    return this.update(store => {
+      const entry = store.entries[id];
+      if (!entry) {
+        throw new NotFoundError(`Quarantined record '${id}' not found`);
+      }
+      change(entry);
+      entry.reviewedAt = new Date().toISOString();
+      return entry;
+    });
+  }
+
+  parseQuery({ status, code, rule, country, page = 1, pageSize = 20 }) {
+    // Repeated or bracketed query parameters arrive as arrays or objects
+    for (const [key, value] of Object.entries({ status, code, rule, country })) {
+      if (value !== undefined && typeof value !== 'string') {
+        throw new ValidationError(`Query parameter '${key}' must be given once`);
+      }
+    }
+    for (const [key, value] of Object.entries({ page, pageSize })) {
+      if (typeof value === 'object') {
+        throw new ValidationError(`Query parameter '${key}' must be given once`);
+      }
+    }
+
+    if (status && !STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status '${status}'. Expected one of: ${STATUSES.join(', ')}`);
+    }
+
+    const codes = Object.keys(this.transform.constructor.REJECTION_CODES);
+    if (code && !codes.includes(code)) {
+      throw new ValidationError(`Invalid code '${code}'. Expected one of: ${codes.join(', ')}`);
+    }
+
+    const parsed = { status, code, rule, country, page: Number(page), pageSize: Number(pageSize) };
+
+    if (!Number.isInteger(parsed.page) || parsed.page < 1) {
+      throw new ValidationError(`Invalid page '${page}'. Expected a positive integer`);
+    }
+
+    if (!Number.isInteger(parsed.pageSize) || parsed.pageSize < 1 || parsed.pageSize > MAX_PAGE_SIZE) {
+      throw new ValidationError(`Invalid pageSize '${pageSize}'. Expected an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    return parsed;
+  }
+}
+
+module.exports = QuarantineService;
@@ -0,0 +1,256 @@
+/**
+ * Query Service - Parses and applies filters, sorting, pagination and field
+ * selection for university queries
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const FIELDS = ['id', 'name', 'country', 'alphaCode', 'stateProvince', 'domains', 'webPages', 'lastUpdated'];
+const FILTER_PARAMS = ['search', 'country', 'alphaCode', 'stateProvince', 'state', 'tld'];
+const PAGE_PARAMS = ['limit', 'offset', 'sort', 'fields'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 1000;
+
+class QueryService {
+  /**
+   * Validate and normalise query parameters
+   * @param {Object} query - Raw query string parameters
+   * @param {Object} options - Parse options
+   * @param {Array<string>} [options.allow] - Extra parameter names accepted by the caller
+   * @param {boolean} [options.paging=true] - Whether sorting, pagination and field selection are accepted
+   * @returns {Object} Parsed query ({ filters, sort, fields, limit, offset })
+   */
+  parse(query = {}, { allow = [], paging = true } = {}) {
+    const known = [...FILTER_PARAMS, ...(paging ? PAGE_PARAMS : []), ...allow];
+    const unknown = Object.keys(query).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown query parameter(s): ${unknown.join(', ')}`);
+    }
+
+    for (const [key, value] of Object.entries(query)) {
+      if (typeof value !== 'string') {
+        throw new ValidationError(`Query parameter '${key}' must be given once`);
+      }
+    }
+
+    return {
+      filters: this.parseFilters(query),
+      sort: this.parseSort(query.sort),
+      fields: this.parseFields(query.fields),
+      limit: this.parseInteger('limit', query.limit, DEFAULT_LIMIT, 1, MAX_LIMIT),
+      offset: this.parseInteger('offset', query.offset, 0, 0, Infinity)
+    };
+  }
+
+  /**
+   * Validate filter parameters only
+   * @param {Object} query - Raw query string parameters
+   * @returns {Object} Filters
+   */
+  parseFilters(query = {}) {
+    const filters = {};
+
+    if (query.search !== undefined) {
+      filters.search = this.requireValue('search', query.search).toLowerCase();
+    }
+
+    for (const key of ['country', 'alphaCode']) {
+      if (query[key] !== undefined) {
+        filters[key] = this.parseList(key, query[key]);
+      }
+    }
+
+    if (query.stateProvince !== undefined || query.state !== undefined) {
+      const key = query.stateProvince !== undefined ? 'stateProvince' : 'state';
+      filters.stateProvince = this.parseList(key, query[key]);
+    }
+
+    if (query.tld !== undefined) {
+      filters.tld = this.parseList('tld', query.tld).map(tld => tld.replace(/^\./, ''));
+      if (filters.tld.some(tld => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(tld))) {
+        throw new ValidationError(`Invalid tld '${query.tld}'`);
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Keep the records matching every filter
+   * @param {Array} records - University records
+   * @param {Object} filters - Filters from parseFilters()
+   * @returns {Array} Matching records
+   */
+  filter(records, filters = {}) {
+    const matches = (value, accepted) =>
+      typeof value === 'string' && accepted.includes(value.toLowerCase());
+
+    return records.filter(uni =>
+      (!filters.search ||
+        uni.name.toLowerCase().includes(filters.search) ||
+        uni.domains.some(domain => domain.includes(filters.search))) &&
+      (!filters.country || matches(uni.country, filters.country)) &&
+      (!filters.alphaCode || matches(uni.alphaCode, filters.alphaCode)) &&
+      (!filters.stateProvince || matches(uni.stateProvince, filters.stateProvince)) &&
+      (!filters.tld || uni.domains.some(domain => filters.tld.some(tld => domain.endsWith(`.${tld}`))))
+    );
+  }
+
+  /**
+   * Sort records by one or more fields
+   * @param {Array} records - University records
+   * @param {Array} sort - Sort keys from parseSort()
+   * @returns {Array} Sorted copy
+   */
+  sort(records, sort) {
+    if (sort.length === 0) {
+      return records;
+    }
+
+    const sortValue = value => {
+      if (Array.isArray(value)) {
+        return value.join(',');
+      }
+      return value === null || value === undefined ? '' : String(value);
+    };
+
+    return [...records].sort((a, b) => {
+      for (const { field, direction } of sort) {
+        const result = sortValue(a[field]).localeCompare(sortValue(b[field]), undefined, { sensitivity: 'base' });
+        if (result !== 0) {
+          return result * direction;
+        }
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Keep only the selected fields of a record
+   * @param {Object} record - University record
+   * @param {Array<string>|null} fields - Selected fields, or null for all
+   * @returns {Object} Projected record
+   */
+  project(record, fields) {
+    if (!fields) {
+      return record;
+    }
+
+    const projected = {};
+    for (const field of fields) {
+      projected[field] = record[field];
+    }
+    return projected;
+  }
+
+  /**
+   * Run a query and build the response envelope
+   * @param {Array} records - University records
+   * @param {Object} query - Raw query string parameters
+   * @param {string} basePath - Path used to build pagination links
+   * @returns {Object} Response envelope
+   */
+  execute(records, query, basePath) {
+    const parsed = this.parse(query);
+    const results = this.sort(this.filter(records, parsed.filters), parsed.sort);
+    const page = results
+      .slice(parsed.offset, parsed.offset + parsed.limit)
+      .map(record => this.project(record, parsed.fields));
+
+    const hasMore = parsed.offset + page.length < results.length;
+
+    return {
+      total: results.length,
+      count: page.length,
+      page: {
+        limit: parsed.limit,
+        offset: parsed.offset,
+        hasMore
+      },
+      links: {
+        self: this.buildLink(basePath, query, parsed.offset),
+        next: hasMore ? this.buildLink(basePath, query, parsed.offset + parsed.limit) : null,
+        prev: parsed.offset > 0 ? this.buildLink(basePath, query, Math.max(0, parsed.offset - parsed.limit)) : null
+      },
+      data: page
+    };
+  }
+
+  buildLink(basePath, query, offset) {
+    const params = new URLSearchParams(query);
+    if (offset > 0) {
+      params.set('offset', String(offset));
+    } else {
+      params.delete('offset');
+    }
+
+    const search = params.toString();
+    return search ? `${basePath}?${search}` : basePath;
+  }
+
+  parseSort(value) {
+    if (value === undefined) {
+      return [];
+    }
+
+    return this.requireValue('sort', value).split(',').map(key => {
+      const trimmed = key.trim();
+      const direction = trimmed.startsWith('-') ? -1 : 1;
+      const field = trimmed.replace(/^[-+]/, '');
+
+      if (!FIELDS.includes(field)) {
+        throw new ValidationError(`Invalid sort field '${field}'. Expected one of: ${FIELDS.join(', ')}`);
+      }
+      return { field, direction };
+    });
+  }
+
+  parseFields(value) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const fields = this.requireValue('fields', value).split(',').map(field => field.trim());
+    const invalid = fields.filter(field => !FIELDS.includes(field));
+    if (invalid.length > 0) {
+      throw new ValidationError(`Invalid field(s) '${invalid.join(', ')}'. Expected any of: ${FIELDS.join(', ')}`);
+    }
+    return [...new Set(fields)];
+  }
+
+  parseList(name, value) {
+    return this.requireValue(name, value)
+      .split(',')
+      .map(item => item.trim().toLowerCase())
+      .filter(item => item !== '');
+  }
+
+  parseInteger(name, value, fallback, min, max) {
+    if (value === undefined) {
+      return fallback;
+    }
+
+    if (!/^\d+$/.test(value)) {
+      throw new ValidationError(`Invalid ${name} '${value}'. Expected a non-negative integer`);
+    }
+
+    const parsed = Number(value);
+    if (parsed < min || parsed > max) {
+      throw new ValidationError(`Invalid ${name} '${value}'. Expected a value between ${min} and ${max}`);
+    }
+    return parsed;
+  }
+
+  requireValue(name, value) {
+    if (value.trim() === '') {
+      throw new ValidationError(`Query parameter '${name}' must not be empty`);
+    }
+    return value;
+  }
+}
+
+QueryService.FIELDS = FIELDS;
+QueryService.FILTER_PARAMS = FILTER_PARAMS;
+
+module.exports = QueryService;
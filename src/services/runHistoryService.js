@@ -0,0 +1,144 @@
+/**
+ * Run History Service - Durable JSON-lines log of ETL runs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const TRIGGERS = ['scheduled', 'manual', 'reprocess'];
+const STATUSES = ['success', 'failed', 'blocked'];
+const MAX_PAGE_SIZE = 100;
+
+class RunHistoryService {
+  constructor() {
+    this.historyPath = path.join(config.storage.dataDir, config.storage.historyFile);
+  }
+
+  /**
+   * Append a finished run to the log
+   * @param {Object} run - Run record
+   * @returns {Promise<void>}
+   */
+  async append(run) {
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+    await fs.appendFile(this.historyPath, `${JSON.stringify(run)}\n`);
+  }
+
+  /**
+   * Read every run, newest first
+   * @returns {Promise<Array>} Run records
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.historyPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') {
+        continue;
+      }
+      try {
+        runs.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial line; skip it
+        logger.warn(`Skipping malformed run history entry: ${error.message}`);
+      }
+    }
+
+    return runs.reverse();
+  }
+
+  /**
+   * Query runs with filters and pagination
+   * @param {Object} query - Query parameters
+   * @param {string} [query.trigger] - scheduled | manual | reprocess
+   * @param {string} [query.status] - success | failed | blocked (failed runs stopped by a publication guard)
+   * @param {string} [query.from] - Only runs started at or after this date
+   * @param {string} [query.to] - Only runs started at or before this date
+   * @param {number|string} [query.page] - 1-based page number
+   * @param {number|string} [query.pageSize] - Runs per page
+   * @returns {Promise<Object>} Page of runs with pagination info
+   */
+  async query(query = {}) {
+    const filters = this.parseQuery(query);
+    const runs = (await this.readAll()).filter(run =>
+      (!filters.trigger || run.trigger === filters.trigger) &&
+      (!filters.status || (filters.status === 'blocked' ? !!run.blocked : (run.success ? 'success' : 'failed') === filters.status)) &&
+      (!filters.from || new Date(run.startedAt) >= filters.from) &&
+      (!filters.to || new Date(run.startedAt) <= filters.to)
+    );
+
+    const offset = (filters.page - 1) * filters.pageSize;
+
+    return {
+      total: runs.length,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      totalPages: Math.ceil(runs.length / filters.pageSize),
+      runs: runs.slice(offset, offset + filters.pageSize)
+    };
+  }
+
+  /**
+   * Most recent runs
+   * @param {number} count - Number of runs
+   * @returns {Promise<Array>} Run records
+   */
+  async recent(count = 5) {
+    const { runs } = await this.query({ pageSize: count });
+    return runs;
+  }
+
+  parseQuery({ trigger, status, from, to, page = 1, pageSize = 20 }) {
+    if (trigger && !TRIGGERS.includes(trigger)) {
+      throw new ValidationError(`Invalid trigger '${trigger}'. Expected one of: ${TRIGGERS.join(', ')}`);
+    }
+
+    if (status && !STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status '${status}'. Expected one of: ${STATUSES.join(', ')}`);
+    }
+
+    const parsed = {
+      trigger,
+      status,
+      from: this.parseDate('from', from),
+      to: this.parseDate('to', to),
+      page: Number(page),
+      pageSize: Number(pageSize)
+    };
+
+    if (!Number.isInteger(parsed.page) || parsed.page < 1) {
+      throw new ValidationError(`Invalid page '${page}'. Expected a positive integer`);
+    }
+
+    if (!Number.isInteger(parsed.pageSize) || parsed.pageSize < 1 || parsed.pageSize > MAX_PAGE_SIZE) {
+      throw new ValidationError(`Invalid pageSize '${pageSize}'. Expected an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    return parsed;
+  }
+
+  parseDate(name, value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid ${name} date '${value}'`);
+    }
+    return date;
+  }
+}
+
+module.exports = RunHistoryService;
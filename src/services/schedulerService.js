@@ -1,14 +1,17 @@
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
 const ETLService = require('./etlService');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { ConflictError, ValidationError } = require('../utils/errors');
 
 class SchedulerService {
-  constructor() {
-    this.etl = new ETLService();
+  constructor({ etl } = {}) {
+    this.etl = etl || new ETLService();
     this.job = null;
     this.running = false;
-    this.history = [];
+    this.cronExpression = config.scheduler.cron;
+    this.timezone = config.scheduler.timezone;
   }
 
   start() {
@@ -17,12 +20,12 @@ class SchedulerService {
       return;
     }
 
-    this.job = cron.schedule(config.scheduler.cron, () => this.runETL(), {
+    this.job = cron.schedule(this.cronExpression, () => this.runETL(), {
       scheduled: true,
-      timezone: config.scheduler.timezone
+      timezone: this.timezone
     });
 
-    logger.info('Scheduler started');
+    logger.info(`Scheduler started (${this.cronExpression} ${this.timezone})`);
   }
 
   stop() {
@@ -40,103 +43,145 @@ class SchedulerService {
     }
 
     this.running = true;
-    const start = Date.now();
 
     try {
-      const result = await this.etl.run();
-      const duration = Date.now() - start;
-
-      this.history.unshift({
-        timestamp: new Date().toISOString(),
-        success: true,
-        duration,
-        records: result.loaded
-      });
-
-      // Keep only last 10 executions
-      this.history = this.history.slice(0, 10);
-
-      logger.info(`Scheduled ETL completed: ${result.loaded} records`);
+      const run = await this.etl.run({ trigger: 'scheduled' });
+      logger.info(`Scheduled ETL completed: ${run.counts.loaded} records`);
     } catch (error) {
-      const duration = Date.now() - start;
-
-      this.history.unshift({
-        timestamp: new Date().toISOString(),
-        success: false,
-        duration,
-        error: error.message
-      });
-
-      this.history = this.history.slice(0, 10);
       logger.error(`Scheduled ETL failed: ${error.message}`);
     } finally {
       this.running = false;
     }
   }
 
-  async runManual() {
+  /**
+   * Run the ETL now, sharing the concurrency guard with scheduled runs
+   * @param {Object} options - Run options
+   * @param {AbortSignal} [options.signal] - Cancels the run
+   * @param {Function} [options.onProgress] - Stage progress callback
+   * @param {string} [options.archive] - Reprocess this archived payload instead of extracting
+   * @returns {Promise<Object>} Run record; on failure the error carries it as error.run
+   */
+  async runManual({ signal, onProgress, archive } = {}) {
     if (this.running) {
-      throw new Error('ETL already running');
+      throw new ConflictError('ETL already running');
     }
 
     this.running = true;
-    const start = Date.now();
+    const trigger = archive ? 'reprocess' : 'manual';
 
     try {
-      const result = await this.etl.run();
-      const duration = Date.now() - start;
-
-      const record = {
-        timestamp: new Date().toISOString(),
-        success: true,
-        duration,
-        records: result.loaded,
-        type: 'manual'
-      };
-
-      this.history.unshift(record);
-      this.history = this.history.slice(0, 10);
-
-      logger.info(`Manual ETL completed: ${result.loaded} records`);
-      return record;
+      const run = await this.etl.run({ trigger, signal, onProgress, archive });
+      logger.info(`Manual ETL completed: ${run.counts.loaded} records`);
+      return run;
     } catch (error) {
-      const duration = Date.now() - start;
+      logger.error(`Manual ETL failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
 
-      const record = {
-        timestamp: new Date().toISOString(),
-        success: false,
-        duration,
-        error: error.message,
-        type: 'manual'
-      };
+  /**
+   * Restore a backup, sharing the concurrency guard with ETL runs so the two
+   * never write the dataset, CSV and manifest at the same time
+   * @param {string} name - Backup file name
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreBackup(name) {
+    if (this.running) {
+      throw new ConflictError('ETL already running');
+    }
 
-      this.history.unshift(record);
-      this.history = this.history.slice(0, 10);
+    this.running = true;
 
-      logger.error(`Manual ETL failed: ${error.message}`);
-      throw record;
+    try {
+      return await this.etl.load.restoreBackup(name);
     } finally {
       this.running = false;
     }
   }
 
-  getStatus() {
+  /**
+   * Change the cron expression and/or timezone, rescheduling the job if it is active
+   * @param {Object} schedule - New schedule
+   * @param {string} [schedule.cron] - Cron expression
+   * @param {string} [schedule.timezone] - IANA timezone name
+   * @returns {Object} Applied schedule
+   */
+  updateSchedule({ cron: cronExpression = this.cronExpression, timezone = this.timezone } = {}) {
+    this.validateSchedule(cronExpression, timezone);
+
+    this.cronExpression = cronExpression;
+    this.timezone = timezone;
+    logger.info(`Schedule updated to ${cronExpression} ${timezone}`);
+
+    if (this.job) {
+      this.stop();
+      this.start();
+    }
+
+    return { cron: this.cronExpression, timezone: this.timezone };
+  }
+
+  validateSchedule(cronExpression, timezone) {
+    if (typeof timezone !== 'string' || !this.isValidTimezone(timezone)) {
+      throw new ValidationError(`Invalid timezone '${timezone}'`);
+    }
+
+    if (typeof cronExpression !== 'string' || !cron.validate(cronExpression)) {
+      throw new ValidationError(`Invalid cron expression '${cronExpression}'`);
+    }
+
+    // node-cron runs the job, cron-parser computes upcoming runs; both must accept it
+    try {
+      cronParser.parseExpression(cronExpression, { tz: timezone });
+    } catch (error) {
+      throw new ValidationError(`Invalid cron expression '${cronExpression}': ${error.message}`);
+    }
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getStatus() {
     return {
       isRunning: !!this.job,
       isExecuting: this.running,
-      history: this.history.slice(0, 5)
+      cron: this.cronExpression,
+      timezone: this.timezone,
+      nextExecutions: this.getNextExecutions(config.scheduler.nextExecutions),
+      history: await this.etl.history.recent(5)
     };
   }
 
-  getNextExecution() {
-    const now = new Date();
-    const nextRun = new Date(now);
+  /**
+   * Compute the upcoming execution times of the configured schedule
+   * @param {number} count - Number of executions
+   * @param {Date} [from] - Reference time
+   * @returns {Array<string>} ISO timestamps
+   */
+  getNextExecutions(count = 1, from = new Date()) {
+    const interval = cronParser.parseExpression(this.cronExpression, {
+      currentDate: from,
+      tz: this.timezone
+    });
 
-    // Set to next midnight UTC
-    nextRun.setUTCDate(nextRun.getUTCDate() + 1);
-    nextRun.setUTCHours(0, 0, 0, 0);
+    const executions = [];
+    for (let i = 0; i < count; i++) {
+      executions.push(interval.next().toDate().toISOString());
+    }
+    return executions;
+  }
 
-    return nextRun.toISOString();
+  getNextExecution() {
+    return this.getNextExecutions(1)[0];
   }
 }
 
@@ -3,9 +3,35 @@
  */
 
 const logger = require('../utils/logger');
+const QualityService = require('./qualityService');
+const DuplicateService = require('./duplicateService');
+const { fingerprint } = require('../quality/fingerprint');
+
+/**
+ * Reason codes attached to rejected records
+ */
+const REJECTION_CODES = {
+  INVALID_RECORD: 'INVALID_RECORD',
+  MISSING_FIELD: 'MISSING_FIELD',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  QUALITY_RULE: 'QUALITY_RULE',
+  TRANSFORM_ERROR: 'TRANSFORM_ERROR'
+};
+
+function rejection(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 class TransformService {
-  constructor() {
+  /**
+   * @param {QualityService} quality - Quality rules applied to every transformed record
+   * @param {DuplicateService} duplicates - Duplicate detection applied to the transformed set
+   */
+  constructor(quality = new QualityService(), duplicates = new DuplicateService()) {
+    this.quality = quality;
+    this.duplicates = duplicates;
     this.requiredFields = ['name', 'country'];
     this.optionalFields = ['alpha_two_code', 'state-province', 'domains', 'web_pages'];
   }
@@ -13,9 +39,12 @@ class TransformService {
   /**
    * Transform raw university data
    * @param {Array} rawData - Raw data from API
+   * @param {Object} options
+   * @param {Map} [options.replay] - Quarantine decisions by record fingerprint:
+   *   { fix } replaces the raw record, { override: true } accepts it despite quality errors
    * @returns {Promise<Array>} Transformed data array
    */
-  async transformData(rawData) {
+  async transformData(rawData, { replay = new Map() } = {}) {
     logger.info(`Starting data transformation for ${rawData.length} records`);
     
     if (!Array.isArray(rawData)) {
@@ -24,18 +53,33 @@ class TransformService {
 
     const transformedData = [];
     const errors = [];
+    const quality = this.quality.createReport();
+
+    const replayed = { fixed: [], overridden: [] };
 
     for (let i = 0; i < rawData.length; i++) {
+      const key = replay.size > 0 ? fingerprint(rawData[i]) : null;
+      const decision = key ? replay.get(key) : null;
+
       try {
-        const transformedRecord = this.transformRecord(rawData[i], i);
+        const transformedRecord = decision && decision.fix
+          ? this.transformRecord(decision.fix, i, quality)
+          : this.transformRecord(rawData[i], i, quality, { override: !!(decision && decision.override) });
         if (transformedRecord) {
           transformedData.push(transformedRecord);
         }
+        if (decision) {
+          replayed[decision.fix ? 'fixed' : 'overridden'].push(key);
+        }
       } catch (error) {
         errors.push({
           index: i,
           record: rawData[i],
-          error: error.message
+          fingerprint: key || fingerprint(rawData[i]),
+          code: error.code && REJECTION_CODES[error.code] ? error.code : REJECTION_CODES.TRANSFORM_ERROR,
+          error: error.message,
+          ...(error.rules && { rules: error.rules }),
+          ...(decision && { replayed: decision.fix ? 'fix' : 'override' })
         });
         logger.warn(`Failed to transform record at index ${i}: ${error.message}`);
       }
@@ -43,6 +87,12 @@ class TransformService {
 
     // Log transformation summary
     logger.info(`Transformation completed. Success: ${transformedData.length}, Errors: ${errors.length}`);
+
+    const { data: uniqueData, report: duplicates } = this.duplicates.process(transformedData);
+    const { summary } = duplicates;
+    if (summary.exact + summary.idCollisions + summary.nearDuplicates > 0) {
+      logger.info(`Duplicates: ${summary.exact} exact, ${summary.idCollisions} id collisions, ${summary.nearDuplicates} near-duplicate groups`);
+    }
     
     if (errors.length > 0) {
       logger.warn(`Transformation errors encountered:`, { errors: errors.slice(0, 5) }); // Log first 5 errors
@@ -50,12 +100,15 @@ class TransformService {
 
     // Add metadata to transformed data
     const result = {
-      data: transformedData,
+      data: uniqueData,
       metadata: {
         totalRecords: rawData.length,
         successfulTransformations: transformedData.length,
         failedTransformations: errors.length,
         transformationDate: new Date().toISOString(),
+        quality,
+        duplicates,
+        replayed,
         errors: errors
       }
     };
@@ -67,17 +120,20 @@ class TransformService {
    * Transform a single university record
    * @param {Object} record - Raw university record
    * @param {number} index - Record index for error reporting
+   * @param {Object} [quality] - Report from QualityService#createReport() counting rule hits
+   * @param {Object} [options]
+   * @param {boolean} [options.override] - Keep the record when quality rules reject it, flagging it instead
    * @returns {Object|null} Transformed record or null if invalid
    */
-  transformRecord(record, index) {
+  transformRecord(record, index, quality, { override = false } = {}) {
     if (!record || typeof record !== 'object') {
-      throw new Error(`Invalid record type at index ${index}: expected object`);
+      throw rejection(REJECTION_CODES.INVALID_RECORD, `Invalid record type at index ${index}: expected object`);
     }
 
     // Validate required fields
     for (const field of this.requiredFields) {
       if (!record[field] || typeof record[field] !== 'string' || record[field].trim() === '') {
-        throw new Error(`Missing or invalid required field '${field}'`);
+        throw rejection(REJECTION_CODES.MISSING_FIELD, `Missing or invalid required field '${field}'`);
       }
     }
 
@@ -95,7 +151,27 @@ class TransformService {
 
     // Validate transformed record
     if (!this.validateTransformedRecord(transformed)) {
-      throw new Error('Transformed record failed validation');
+      throw rejection(REJECTION_CODES.VALIDATION_FAILED, 'Transformed record failed validation');
+    }
+
+    const issues = this.quality.evaluate(transformed);
+    if (quality) {
+      // An overridden record is kept, so it counts as flagged rather than rejected
+      this.quality.tally(quality, override ? issues.map(issue => ({ ...issue, severity: 'warning' })) : issues);
+    }
+
+    const failures = issues.filter(issue => issue.severity === 'error');
+    if (failures.length > 0 && !override) {
+      const error = rejection(REJECTION_CODES.QUALITY_RULE, failures.map(issue => issue.message).join('; '));
+      error.rules = failures.map(issue => issue.rule);
+      throw error;
+    }
+
+    if (issues.length > 0) {
+      transformed.qualityFlags = issues.map(issue => issue.rule);
+      if (failures.length > 0) {
+        transformed.qualityFlags.push('qualityOverride');
+      }
     }
 
     return transformed;
@@ -214,4 +290,6 @@ class TransformService {
   }
 }
 
+TransformService.REJECTION_CODES = REJECTION_CODES;
+
 module.exports = TransformService;
@@ -0,0 +1,49 @@
+/**
+ * University Service - Single-record lookups backed by an index of the published dataset
+ */
+
+const { NotFoundError } = require('../utils/errors');
+
+class UniversityService {
+  constructor({ dataset }) {
+    this.dataset = dataset;
+  }
+
+  /**
+   * Index of the published dataset, maintained by the dataset cache
+   * @returns {Promise<DatasetIndex>} Dataset index
+   */
+  async getIndex() {
+    const entry = await this.dataset.get();
+    if (!entry) {
+      throw new NotFoundError('No data available');
+    }
+    return entry.index;
+  }
+
+  async getById(id) {
+    const university = (await this.getIndex()).findById(id);
+    if (!university) {
+      throw new NotFoundError(`University '${id}' not found`);
+    }
+    return university;
+  }
+
+  async findByDomain(domain) {
+    const result = (await this.getIndex()).findByDomain(domain);
+    if (result.universities.length === 0) {
+      throw new NotFoundError(`No university found for domain '${result.domain}'`);
+    }
+    return result;
+  }
+
+  async findByHost(host) {
+    const result = (await this.getIndex()).findByHost(host);
+    if (result.universities.length === 0) {
+      throw new NotFoundError(`No university found for host '${host}'`);
+    }
+    return result;
+  }
+}
+
+module.exports = UniversityService;
@@ -0,0 +1,59 @@
+/**
+ * CSV file source - Reads universities from a local CSV file
+ */
+
+const fs = require('fs').promises;
+const { parseCsv } = require('../utils/csv');
+const { applyMapping } = require('./fieldMapping');
+
+const ARRAY_FIELDS = ['domains', 'web_pages'];
+
+class CsvFileSource {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('CSV file source requires a path');
+    }
+
+    this.name = 'csv-file';
+    this.path = options.path;
+    this.mapping = options.mapping;
+    this.delimiter = options.delimiter || ',';
+    this.arraySeparator = options.arraySeparator || ';';
+  }
+
+  /**
+   * Read and parse the configured file
+   * @returns {Promise<Object>} Extracted records
+   */
+  async extract() {
+    const content = await fs.readFile(this.path, 'utf8');
+    const rows = parseCsv(content, { delimiter: this.delimiter });
+
+    return {
+      data: rows.map(row => this.toRawRecord(applyMapping(row, this.mapping)))
+    };
+  }
+
+  /**
+   * Convert CSV cell strings into Hipolabs value types
+   * @param {Object} row - Parsed CSV row
+   * @returns {Object} Raw university record
+   */
+  toRawRecord(row) {
+    const record = {};
+
+    for (const [field, value] of Object.entries(row)) {
+      if (ARRAY_FIELDS.includes(field)) {
+        record[field] = typeof value === 'string' && value !== ''
+          ? value.split(this.arraySeparator).map(item => item.trim())
+          : [];
+      } else {
+        record[field] = value === '' ? null : value;
+      }
+    }
+
+    return record;
+  }
+}
+
+module.exports = CsvFileSource;
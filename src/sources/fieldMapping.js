@@ -0,0 +1,46 @@
+/**
+ * Field mapping helpers shared by source adapters
+ */
+
+/**
+ * Read a value from an object using a dot-separated path
+ * @param {Object} object - Source object
+ * @param {string} fieldPath - Path such as "location.country"
+ * @returns {*} Value at path or undefined
+ */
+function getPath(object, fieldPath) {
+  if (!fieldPath) {
+    return object;
+  }
+
+  return fieldPath.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    object
+  );
+}
+
+/**
+ * Map a source record onto the Hipolabs raw record shape.
+ * Keys of the mapping are Hipolabs field names, values are paths in the source record.
+ * Fields that are not mapped are passed through unchanged.
+ * @param {Object} record - Source record
+ * @param {Object} mapping - Field mapping
+ * @returns {Object} Record in Hipolabs shape
+ */
+function applyMapping(record, mapping) {
+  if (!mapping || Object.keys(mapping).length === 0 || !record || typeof record !== 'object') {
+    return record;
+  }
+
+  const mapped = { ...record };
+  for (const [target, sourcePath] of Object.entries(mapping)) {
+    mapped[target] = getPath(record, sourcePath);
+  }
+
+  return mapped;
+}
+
+module.exports = {
+  getPath,
+  applyMapping
+};
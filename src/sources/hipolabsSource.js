@@ -0,0 +1,61 @@
+/**
+ * Hipolabs source - Fetches universities per country from the Hipolabs search API
+ */
+
+const config = require('../config');
+const { CancelledError } = require('../utils/errors');
+
+class HipolabsSource {
+  constructor(options = {}) {
+    this.name = 'hipolabs';
+    this.url = options.url || config.api.universitiesUrl;
+    this.countries = options.countries || config.api.countries;
+  }
+
+  /**
+   * Fetch every configured country. A failing country is reported
+   * but does not discard the others.
+   * @param {ExtractService} client - Extract service providing HTTP with retry
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} [options.signal] - Aborts in-flight requests
+   * @returns {Promise<Object>} Merged data with per-country counts and failures
+   */
+  async extract(client, { signal } = {}) {
+    const data = [];
+    const countries = {};
+    const failures = [];
+
+    for (const country of this.countries) {
+      try {
+        const records = await client.fetchRecords({
+          url: this.url,
+          params: country.all ? {} : { country: country.name },
+          timeout: country.timeout,
+          retryAttempts: country.retryAttempts,
+          retryDelay: country.retryDelay,
+          signal
+        }, country.name);
+
+        for (const record of records) {
+          data.push(record);
+        }
+        countries[country.name] = { count: records.length };
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          throw error;
+        }
+        countries[country.name] = { count: 0, error: error.message };
+        failures.push({ country: country.name, error: error.message });
+      }
+    }
+
+    if (failures.length === this.countries.length) {
+      const reasons = failures.map(failure => `${failure.country}: ${failure.error}`).join('; ');
+      throw new Error(`Failed to extract data for all countries. ${reasons}`);
+    }
+
+    return { data, countries, failures };
+  }
+}
+
+module.exports = HipolabsSource;
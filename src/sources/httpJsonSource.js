@@ -0,0 +1,37 @@
+/**
+ * HTTP JSON source - Fetches universities from an arbitrary JSON endpoint
+ */
+
+const { getPath, applyMapping } = require('./fieldMapping');
+
+class HttpJsonSource {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HTTP JSON source requires a url');
+    }
+
+    this.name = 'http-json';
+    this.url = options.url;
+    this.dataPath = options.dataPath;
+    this.mapping = options.mapping;
+  }
+
+  /**
+   * Fetch the endpoint and map each record onto the Hipolabs shape
+   * @param {ExtractService} client - Extract service providing HTTP with retry
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} [options.signal] - Aborts in-flight requests
+   * @returns {Promise<Object>} Extracted records
+   */
+  async extract(client, { signal } = {}) {
+    const records = await client.fetchRecords(
+      { url: this.url, signal },
+      this.url,
+      body => getPath(body, this.dataPath)
+    );
+
+    return { data: records.map(record => applyMapping(record, this.mapping)) };
+  }
+}
+
+module.exports = HttpJsonSource;
@@ -0,0 +1,39 @@
+/**
+ * Source adapter registry
+ */
+
+const HipolabsSource = require('./hipolabsSource');
+const JsonFileSource = require('./jsonFileSource');
+const CsvFileSource = require('./csvFileSource');
+const HttpJsonSource = require('./httpJsonSource');
+
+const sources = {
+  'hipolabs': HipolabsSource,
+  'json-file': JsonFileSource,
+  'csv-file': CsvFileSource,
+  'http-json': HttpJsonSource
+};
+
+/**
+ * Create the source adapter selected by configuration
+ * @param {Object} sourceConfig - Source configuration ({ type, ...options })
+ * @returns {Object} Source adapter exposing name and extract(client)
+ */
+function createSource(sourceConfig = {}) {
+  const type = sourceConfig.type || 'hipolabs';
+  const Source = sources[type];
+
+  if (!Source) {
+    throw new Error(`Unknown source type '${type}'. Expected one of: ${Object.keys(sources).join(', ')}`);
+  }
+
+  return new Source(sourceConfig);
+}
+
+module.exports = {
+  createSource,
+  HipolabsSource,
+  JsonFileSource,
+  CsvFileSource,
+  HttpJsonSource
+};
@@ -0,0 +1,44 @@
+/**
+ * JSON file source - Reads universities from a local JSON file
+ */
+
+const fs = require('fs').promises;
+const { getPath, applyMapping } = require('./fieldMapping');
+
+class JsonFileSource {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('JSON file source requires a path');
+    }
+
+    this.name = 'json-file';
+    this.path = options.path;
+    this.dataPath = options.dataPath;
+    this.mapping = options.mapping;
+  }
+
+  /**
+   * Read and parse the configured file
+   * @returns {Promise<Object>} Extracted records
+   */
+  async extract() {
+    const content = await fs.readFile(this.path, 'utf8');
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${this.path}: ${error.message}`);
+    }
+
+    // Accept a bare array, a path into the document, or our own { data } export
+    const records = this.dataPath ? getPath(parsed, this.dataPath) : (parsed.data || parsed);
+    if (!Array.isArray(records)) {
+      throw new Error('Invalid response format: expected array of universities');
+    }
+
+    return { data: records.map(record => applyMapping(record, this.mapping)) };
+  }
+}
+
+module.exports = JsonFileSource;
@@ -0,0 +1,104 @@
+/**
+ * Raw record schema - JSON Schema of the Hipolabs record format that every
+ * source adapter produces, and validation of extracted payloads against it
+ */
+
+const Ajv = require('ajv');
+
+const RAW_RECORD_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Hipolabs university',
+  type: 'object',
+  required: ['name', 'country'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    country: { type: 'string', minLength: 1 },
+    alpha_two_code: { type: ['string', 'null'], pattern: '^[A-Za-z]{2}$' },
+    'state-province': { type: ['string', 'null'] },
+    domains: { type: 'array', items: { type: 'string' } },
+    web_pages: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const FIELDS = Object.keys(RAW_RECORD_SCHEMA.properties);
+const MAX_EXAMPLES = 5;
+
+const validate = new Ajv({ allErrors: true }).compile(RAW_RECORD_SCHEMA);
+
+/**
+ * Validate every record of an extracted payload
+ * @param {Array} data - Raw records
+ * @returns {Object} Report:
+ *   valid          - false when the payload is not an array or no record matches the schema
+ *   error          - why the payload is invalid
+ *   records        - number of records
+ *   invalidRecords - records failing the schema
+ *   issues         - schema errors grouped by field and message, with the record count and example indexes
+ *   drift          - missing: schema fields absent from every record, unexpected: fields outside the schema,
+ *                    fields: number of records carrying each field
+ */
+function validateRawRecords(data) {
+  if (!Array.isArray(data)) {
+    return { valid: false, error: 'payload is not an array' };
+  }
+
+  const issues = new Map();
+  const fields = {};
+  let invalidRecords = 0;
+
+  data.forEach((record, index) => {
+    if (record && typeof record === 'object' && !Array.isArray(record)) {
+      for (const field of Object.keys(record)) {
+        fields[field] = (fields[field] || 0) + 1;
+      }
+    }
+
+    if (validate(record)) {
+      return;
+    }
+
+    invalidRecords++;
+    for (const error of validate.errors) {
+      const field = error.keyword === 'required' ? error.params.missingProperty : error.instancePath.split('/')[1] || null;
+      const message = error.keyword === 'required' ? 'is required' : error.message;
+      const key = `${field}\u0000${message}`;
+
+      if (!issues.has(key)) {
+        issues.set(key, { field, message, records: 0, examples: [] });
+      }
+      const issue = issues.get(key);
+      // A record can fail the same check more than once, e.g. for several array items
+      if (issue.lastIndex !== index) {
+        issue.lastIndex = index;
+        issue.records++;
+        if (issue.examples.length < MAX_EXAMPLES) {
+          issue.examples.push(index);
+        }
+      }
+    }
+  });
+
+  // Single bad records are left to the transform; a payload without any usable record is rejected
+  const valid = data.length === 0 || invalidRecords < data.length;
+
+  return {
+    valid,
+    ...(!valid && { error: 'no record matches the raw record schema' }),
+    records: data.length,
+    invalidRecords,
+    issues: [...issues.values()]
+      .map(({ lastIndex, ...issue }) => issue)
+      .sort((a, b) => b.records - a.records),
+    drift: {
+      // An empty payload has no fields to compare
+      missing: data.length > 0 ? FIELDS.filter(field => !fields[field]) : [],
+      unexpected: Object.keys(fields).filter(field => !FIELDS.includes(field)).sort(),
+      fields
+    }
+  };
+}
+
+module.exports = {
+  RAW_RECORD_SCHEMA,
+  validateRawRecords
+};
@@ -0,0 +1,116 @@
+/**
+ * File storage - The dataset as a single pretty-printed JSON document
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, checksumFile } = require('../utils/files');
+
+class FileStorage {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dataDir = options.dataDir;
+    this.jsonPath = path.join(options.dataDir, options.jsonFile);
+  }
+
+  get path() {
+    return this.jsonPath;
+  }
+
+  /**
+   * Read the stored dataset
+   * @returns {Promise<Object|null>} Dataset ({ data, metadata }) or null when nothing is stored
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.jsonPath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored dataset atomically
+   * @param {Object} dataset - Dataset ({ data, metadata })
+   * @returns {Promise<Object>} { descriptor, records }: what was written (see describe()) and the number of records stored
+   */
+  async write(dataset) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const checksum = await writeFileAtomic(this.jsonPath, JSON.stringify(dataset, null, 2));
+    return {
+      descriptor: { file: path.basename(this.jsonPath), ...checksum },
+      records: dataset.data.length
+    };
+  }
+
+  /**
+   * Identify the stored content for the manifest
+   * @returns {Promise<Object|null>} { file, sha256, size } or null when nothing is stored
+   */
+  async describe() {
+    const checksum = await checksumFile(this.jsonPath);
+    return checksum ? { file: path.basename(this.jsonPath), ...checksum } : null;
+  }
+
+  /**
+   * Describe the stored revision without reading it
+   * @returns {Promise<Object|null>} { version, etag, lastModified } or null when nothing is stored
+   */
+  async stat() {
+    let stats;
+    try {
+      stats = await fs.stat(this.jsonPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return {
+      version: `${stats.mtimeMs}-${stats.size}`,
+      etag: `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      lastModified: new Date(Math.floor(stats.mtimeMs / 1000) * 1000)
+    };
+  }
+
+  /**
+   * Copy the stored dataset into a backup
+   * @param {BackupService} backups - Backup service
+   * @returns {Promise<string|null>} Backup name, or null when nothing is stored
+   */
+  async backup(backups) {
+    try {
+      await fs.access(this.jsonPath);
+    } catch (error) {
+      return null;
+    }
+
+    return backups.create(this.jsonPath);
+  }
+
+  /**
+   * Move an unreadable dataset out of the way, keeping it for inspection
+   * @returns {Promise<string|null>} New path, or null when nothing is stored
+   */
+  async setAside() {
+    const target = `${this.jsonPath}.corrupt-${Date.now()}`;
+    try {
+      await fs.rename(this.jsonPath, target);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return target;
+  }
+
+  async close() {}
+}
+
+module.exports = FileStorage;
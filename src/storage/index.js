@@ -0,0 +1,35 @@
+/**
+ * Storage backend registry
+ */
+
+const FileStorage = require('./fileStorage');
+const SqliteStorage = require('./sqliteStorage');
+
+const backends = {
+  'file': FileStorage,
+  'sqlite': SqliteStorage
+};
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {Object} storageConfig - Storage configuration ({ type, dataDir, ... })
+ * @returns {Object} Backend exposing read(), write(dataset), stat() and backup(backups).
+ *   write() reports how many records were stored, which is fewer than given
+ *   when a backend keys records by id and several share one.
+ */
+function createStorage(storageConfig = {}) {
+  const type = storageConfig.type || 'file';
+  const Storage = backends[type];
+
+  if (!Storage) {
+    throw new Error(`Unknown storage type '${type}'. Expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return new Storage(storageConfig);
+}
+
+module.exports = {
+  createStorage,
+  FileStorage,
+  SqliteStorage
+};
@@ -0,0 +1,312 @@
+/**
+ * SQLite storage - Universities, domains and web pages in normalized tables
+ *
+ * Every write is one transaction: records are upserted by id and stamped with
+ * a new revision, rows left on an older revision are deleted, and the dataset
+ * row (metadata and revision) is updated last. Readers therefore always see a
+ * complete dataset, and the revision doubles as the cache validator.
+ *
+ * The database is only a store: read() returns the whole dataset, and
+ * filtering and lookups run on the dataset cache in memory, as with files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS dataset (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    revision INTEGER NOT NULL,
+    metadata TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS universities (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    country TEXT,
+    alpha_code TEXT,
+    state_province TEXT,
+    last_updated TEXT,
+    attributes TEXT,
+    position INTEGER NOT NULL,
+    revision INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS universities_revision ON universities (revision);
+
+  CREATE TABLE IF NOT EXISTS university_domains (
+    university_id TEXT NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    domain TEXT NOT NULL,
+    PRIMARY KEY (university_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS university_web_pages (
+    university_id TEXT NOT NULL REFERENCES universities (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    PRIMARY KEY (university_id, position)
+  );
+
+  -- Lookup indexes of earlier versions; nothing queries them
+  DROP INDEX IF EXISTS universities_country;
+  DROP INDEX IF EXISTS university_domains_domain;
+`;
+
+// Record fields with their own column; anything else is kept in `attributes`
+const COLUMNS = {
+  id: 'id',
+  name: 'name',
+  country: 'country',
+  alphaCode: 'alpha_code',
+  stateProvince: 'state_province',
+  lastUpdated: 'last_updated'
+};
+
+class SqliteStorage {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.dataDir = options.dataDir;
+    this.dbPath = options.sqliteFile === ':memory:'
+      ? ':memory:'
+      : path.join(options.dataDir, options.sqliteFile || 'universities.db');
+    this.db = null;
+  }
+
+  get path() {
+    return this.dbPath;
+  }
+
+  /**
+   * Open the database on first use and prepare statements
+   * @returns {Database} Connection
+   */
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(SCHEMA);
+
+    this.statements = {
+      dataset: db.prepare('SELECT revision, metadata, updated_at FROM dataset WHERE id = 1'),
+      saveDataset: db.prepare(`
+        INSERT INTO dataset (id, revision, metadata, updated_at) VALUES (1, @revision, @metadata, @updatedAt)
+        ON CONFLICT (id) DO UPDATE SET revision = excluded.revision, metadata = excluded.metadata, updated_at = excluded.updated_at
+      `),
+      upsertUniversity: db.prepare(`
+        INSERT INTO universities (id, name, country, alpha_code, state_province, last_updated, attributes, position, revision)
+        VALUES (@id, @name, @country, @alpha_code, @state_province, @last_updated, @attributes, @position, @revision)
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name,
+          country = excluded.country,
+          alpha_code = excluded.alpha_code,
+          state_province = excluded.state_province,
+          last_updated = excluded.last_updated,
+          attributes = excluded.attributes,
+          position = excluded.position,
+          revision = excluded.revision
+      `),
+      deleteDomains: db.prepare('DELETE FROM university_domains WHERE university_id = ?'),
+      insertDomain: db.prepare('INSERT INTO university_domains (university_id, position, domain) VALUES (?, ?, ?)'),
+      deleteWebPages: db.prepare('DELETE FROM university_web_pages WHERE university_id = ?'),
+      insertWebPage: db.prepare('INSERT INTO university_web_pages (university_id, position, url) VALUES (?, ?, ?)'),
+      deleteStale: db.prepare('DELETE FROM universities WHERE revision <> ?'),
+      count: db.prepare('SELECT COUNT(*) AS count FROM universities'),
+      universities: db.prepare('SELECT * FROM universities ORDER BY position'),
+      domains: db.prepare('SELECT university_id, domain FROM university_domains ORDER BY university_id, position'),
+      webPages: db.prepare('SELECT university_id, url FROM university_web_pages ORDER BY university_id, position')
+    };
+
+    this.db = db;
+    return db;
+  }
+
+  /**
+   * Read the stored dataset
+   * @returns {Promise<Object|null>} Dataset ({ data, metadata }) or null when nothing is stored
+   */
+  async read() {
+    this.open();
+
+    const read = this.db.transaction(() => {
+      const dataset = this.statements.dataset.get();
+      if (!dataset) {
+        return null;
+      }
+
+      const domains = this.groupBy(this.statements.domains.all(), 'domain');
+      const webPages = this.groupBy(this.statements.webPages.all(), 'url');
+      const data = this.statements.universities.all().map(row => this.toRecord(row, domains, webPages));
+
+      return { data, metadata: JSON.parse(dataset.metadata) };
+    });
+
+    return read();
+  }
+
+  /**
+   * Upsert the dataset's records and drop the ones it no longer contains.
+   * Records sharing an id are stored once (the last one wins).
+   * @param {Object} dataset - Dataset ({ data, metadata })
+   * @returns {Promise<Object>} { descriptor, records }: what was written (see describe()) and the number of records stored
+   */
+  async write(dataset) {
+    this.open();
+
+    const write = this.db.transaction(() => {
+      const current = this.statements.dataset.get();
+      const revision = (current ? current.revision : 0) + 1;
+
+      dataset.data.forEach((record, position) => {
+        this.statements.upsertUniversity.run(this.toRow(record, position, revision));
+
+        this.statements.deleteDomains.run(record.id);
+        (record.domains || []).forEach((domain, index) => {
+          this.statements.insertDomain.run(record.id, index, domain);
+        });
+
+        this.statements.deleteWebPages.run(record.id);
+        (record.webPages || []).forEach((url, index) => {
+          this.statements.insertWebPage.run(record.id, index, url);
+        });
+      });
+
+      this.statements.deleteStale.run(revision);
+      this.statements.saveDataset.run({
+        revision,
+        metadata: JSON.stringify(dataset.metadata || {}),
+        updatedAt: Date.now()
+      });
+
+      return this.statements.count.get().count;
+    });
+
+    const records = write();
+    return { descriptor: await this.describe(), records };
+  }
+
+  /**
+   * Identify the stored content for the manifest
+   * @returns {Promise<Object|null>} { file, revision } or null when nothing is stored
+   */
+  async describe() {
+    this.open();
+
+    const dataset = this.statements.dataset.get();
+    return dataset ? { file: path.basename(this.dbPath), revision: dataset.revision } : null;
+  }
+
+  /**
+   * Describe the stored revision without reading the records
+   * @returns {Promise<Object|null>} { version, etag, lastModified } or null when nothing is stored
+   */
+  async stat() {
+    this.open();
+
+    const dataset = this.statements.dataset.get();
+    if (!dataset) {
+      return null;
+    }
+
+    return {
+      version: String(dataset.revision),
+      etag: `W/"r${dataset.revision.toString(16)}-${dataset.updated_at.toString(16)}"`,
+      lastModified: new Date(Math.floor(dataset.updated_at / 1000) * 1000)
+    };
+  }
+
+  /**
+   * Write the stored dataset to a JSON backup
+   * @param {BackupService} backups - Backup service
+   * @returns {Promise<string|null>} Backup name, or null when nothing is stored
+   */
+  async backup(backups) {
+    const dataset = await this.read();
+    return dataset ? backups.save(dataset) : null;
+  }
+
+  /**
+   * Move an unreadable database out of the way, keeping it for inspection
+   * @returns {Promise<string|null>} New path, or null when nothing is stored
+   */
+  async setAside() {
+    await this.close();
+
+    if (this.dbPath === ':memory:' || !fs.existsSync(this.dbPath)) {
+      return null;
+    }
+
+    const target = `${this.dbPath}.corrupt-${Date.now()}`;
+    fs.renameSync(this.dbPath, target);
+    for (const suffix of ['-wal', '-shm']) {
+      fs.rmSync(`${this.dbPath}${suffix}`, { force: true });
+    }
+    return target;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  toRow(record, position, revision) {
+    const row = { position, revision };
+    const attributes = {};
+
+    for (const [field, value] of Object.entries(record)) {
+      if (COLUMNS[field]) {
+        row[COLUMNS[field]] = value === undefined ? null : value;
+      } else if (field !== 'domains' && field !== 'webPages') {
+        attributes[field] = value;
+      }
+    }
+
+    for (const column of Object.values(COLUMNS)) {
+      if (row[column] === undefined) {
+        row[column] = null;
+      }
+    }
+
+    row.attributes = Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : null;
+    return row;
+  }
+
+  toRecord(row, domains, webPages) {
+    const record = {
+      id: row.id,
+      name: row.name,
+      country: row.country,
+      alphaCode: row.alpha_code,
+      stateProvince: row.state_province,
+      domains: domains.get(row.id) || [],
+      webPages: webPages.get(row.id) || [],
+      lastUpdated: row.last_updated
+    };
+
+    return row.attributes ? { ...record, ...JSON.parse(row.attributes) } : record;
+  }
+
+  groupBy(rows, valueColumn) {
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.university_id)) {
+        groups.set(row.university_id, []);
+      }
+      groups.get(row.university_id).push(row[valueColumn]);
+    }
+    return groups;
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,88 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ */
+
+/**
+ * Split CSV text into rows of raw cell values
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by spreadsheet tools
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter
+ * @returns {Array<Object>} Parsed records
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const [headers, ...rows] = parseRows(text, delimiter);
+  if (!headers) {
+    return [];
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header.trim()] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseRows
+};
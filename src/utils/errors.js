@@ -0,0 +1,51 @@
+/**
+ * Application error types carrying an HTTP status for the API layer
+ */
+
+class AppError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+class CancelledError extends AppError {
+  constructor(message = 'Run cancelled') {
+    super(message, 409);
+  }
+}
+
+class PublicationBlockedError extends AppError {
+  constructor(violations) {
+    super(`Publication blocked: ${violations.map(violation => violation.message).join('; ')}`, 422);
+    this.violations = violations;
+  }
+}
+
+module.exports = {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  CancelledError,
+  PublicationBlockedError
+};
@@ -0,0 +1,111 @@
+/**
+ * File helpers - Atomic writes and checksums
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_SUFFIX = '.tmp';
+
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+}
+
+/**
+ * Write a file through a temporary sibling that is flushed to disk and then
+ * renamed over the target, so readers see either the old or the new content
+ * @param {string} filePath - Destination
+ * @param {string|Buffer} content - Content to write
+ * @returns {Promise<Object>} { sha256, size } of the written content
+ */
+async function writeFileAtomic(filePath, content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const tempPath = tempPathFor(filePath);
+
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(buffer);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return {
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    size: buffer.length
+  };
+}
+
+/**
+ * Copy a file so the destination only ever appears complete
+ * @param {string} sourcePath - File to copy
+ * @param {string} filePath - Destination
+ */
+async function copyFileAtomic(sourcePath, filePath) {
+  const tempPath = tempPathFor(filePath);
+
+  try {
+    await fs.promises.copyFile(sourcePath, tempPath);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Hash a file without loading it into memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<Object|null>} { sha256, size }, or null when the file does not exist
+ */
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+      })
+      .on('end', () => resolve({ sha256: hash.digest('hex'), size }))
+      .on('error', error => (error.code === 'ENOENT' ? resolve(null) : reject(error)));
+  });
+}
+
+/**
+ * Delete temporary files left behind by interrupted atomic writes
+ * @param {string} dir - Directory to clean
+ * @returns {Promise<Array<string>>} Names of removed files
+ */
+async function removeTempFiles(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const stale = files.filter(file => file.endsWith(TEMP_SUFFIX));
+  for (const file of stale) {
+    await fs.promises.rm(path.join(dir, file), { force: true });
+  }
+  return stale;
+}
+
+module.exports = {
+  writeFileAtomic,
+  copyFileAtomic,
+  checksumFile,
+  removeTempFiles
+};
@@ -0,0 +1,46 @@
+/**
+ * Tests for environment parsing in the configuration
+ */
+
+describe('config', () => {
+  const env = process.env;
+
+  const load = variables => {
+    process.env = { ...env, ...variables };
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../src/config');
+    });
+    return config;
+  };
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('should attach per-country request options', () => {
+    const config = load({
+      API_COUNTRIES: 'United States,Canada',
+      API_COUNTRY_OPTIONS: '{"Canada":{"timeout":60000,"retryAttempts":5}}'
+    });
+
+    expect(config.api.countries).toEqual([
+      { name: 'United States' },
+      { name: 'Canada', timeout: 60000, retryAttempts: 5 }
+    ]);
+  });
+
+  it('should reject malformed country options', () => {
+    expect(() => load({ API_COUNTRY_OPTIONS: '{not json' })).toThrow('Invalid API_COUNTRY_OPTIONS');
+    expect(() => load({ API_COUNTRY_OPTIONS: '{"Canada":{"timeout":1000}}' })).toThrow("'Canada' is not in API_COUNTRIES");
+    expect(() => load({ API_COUNTRY_OPTIONS: '{"United States":{"retries":2}}' })).toThrow("unknown setting 'retries'");
+    expect(() => load({ API_COUNTRY_OPTIONS: '{"United States":{"timeout":-1}}' })).toThrow('must be a positive integer');
+  });
+
+  it('should read the CSV source delimiter and array separator', () => {
+    expect(load({ SOURCE_DELIMITER: ';', SOURCE_ARRAY_SEPARATOR: '|' }).source).toMatchObject({ delimiter: ';', arraySeparator: '|' });
+    expect(load({ SOURCE_DELIMITER: 'tab' }).source.delimiter).toBe('\t');
+    expect(load({}).source).toMatchObject({ delimiter: undefined, arraySeparator: undefined });
+    expect(() => load({ SOURCE_DELIMITER: ';;' })).toThrow("Invalid SOURCE_DELIMITER ';;'");
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the CSV export
+ */
+
+const { toCsv, parseCsvOptions } = require('../../src/export/csv');
+
+const record = {
+  id: 'united-states-california-test-university',
+  name: 'Test University, "Main" Campus',
+  country: 'United States',
+  alphaCode: 'US',
+  stateProvince: 'California',
+  domains: ['test.edu', 'alumni.test.edu'],
+  webPages: ['https://test.edu'],
+  lastUpdated: '2025-05-16T00:00:00.000Z'
+};
+
+describe('CSV export', () => {
+  describe('toCsv', () => {
+    it('should map every schema column including stateProvince and lastUpdated', () => {
+      const [header, row] = toCsv([record]).split('\n');
+
+      expect(header).toBe('id,name,country,alphaCode,stateProvince,domains,webPages,lastUpdated');
+      expect(row).toBe(
+        'united-states-california-test-university,"Test University, ""Main"" Campus",United States,US,' +
+        'California,test.edu;alumni.test.edu,https://test.edu,2025-05-16T00:00:00.000Z'
+      );
+    });
+
+    it('should quote values containing line breaks', () => {
+      const csv = toCsv([{ ...record, name: 'Line one\nLine two' }], { columns: ['name'] });
+
+      expect(csv).toBe('name\n"Line one\nLine two"');
+    });
+
+    it('should honour column order, delimiter, array separator and BOM', () => {
+      const csv = toCsv([record], {
+        columns: ['domains', 'id'],
+        delimiter: ';',
+        arraySeparator: '|',
+        bom: true
+      });
+
+      expect(csv).toBe('\uFEFFdomains;id\ntest.edu|alumni.test.edu;united-states-california-test-university');
+    });
+
+    it('should write empty cells for missing values', () => {
+      const csv = toCsv([{ id: 'x', name: 'X' }], { columns: ['id', 'stateProvince', 'domains'] });
+
+      expect(csv).toBe('id,stateProvince,domains\nx,,');
+    });
+  });
+
+  describe('parseCsvOptions', () => {
+    it('should parse query parameters', () => {
+      expect(parseCsvOptions({ columns: 'name,id', delimiter: 'tab', arraySeparator: '|', bom: 'true' })).toEqual({
+        columns: ['name', 'id'],
+        delimiter: '\t',
+        arraySeparator: '|',
+        bom: true
+      });
+    });
+
+    it.each([
+      [{ columns: 'name,state' }, "Unknown column(s) 'state'"],
+      [{ delimiter: ':' }, "Invalid delimiter ':'"],
+      [{ arraySeparator: '"' }, 'Invalid arraySeparator'],
+      [{ bom: 'yes' }, "Invalid bom 'yes'"]
+    ])('should reject %j', (query, message) => {
+      expect(() => parseCsvOptions(query)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for the NDJSON, XML, columnar and XLSX exports
+ */
+
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { jsonChunks } = require('../../src/export/json');
+const { ndjsonChunks } = require('../../src/export/ndjson');
+const { xmlChunks } = require('../../src/export/xml');
+const { columnarChunks } = require('../../src/export/columnar');
+const { writeXlsx } = require('../../src/export/xlsx');
+const { getFormat } = require('../../src/export');
+
+const records = [
+  {
+    id: 'test-university',
+    name: 'Test & <Sons> University',
+    country: 'United States',
+    alphaCode: 'US',
+    stateProvince: null,
+    domains: ['test.edu', 'alumni.test.edu'],
+    webPages: ['https://test.edu'],
+    lastUpdated: '2025-05-16T00:00:00.000Z'
+  },
+  {
+    id: 'other-university',
+    name: 'Other University',
+    country: 'Canada',
+    alphaCode: 'CA',
+    domains: [],
+    webPages: []
+  }
+];
+
+// The download route pipes these chunks straight to the response
+const collect = chunks => [...chunks].join('');
+
+describe('export formats', () => {
+  describe('JSON', () => {
+    it('should write the records before the metadata', () => {
+      const json = [...jsonChunks(records, { columns: ['id'] }, { totalRecords: 2 })].join('');
+
+      expect(JSON.parse(json)).toEqual({
+        data: [{ id: 'test-university' }, { id: 'other-university' }],
+        metadata: { totalRecords: 2 }
+      });
+    });
+  });
+
+  describe('NDJSON', () => {
+    it('should emit one JSON object per line with the selected columns', () => {
+      const lines = [...ndjsonChunks(records, { columns: ['id', 'domains'] })];
+
+      expect(lines).toEqual([
+        '{"id":"test-university","domains":["test.edu","alumni.test.edu"]}\n',
+        '{"id":"other-university","domains":[]}\n'
+      ]);
+    });
+  });
+
+  describe('XML', () => {
+    it('should escape text and nest array items', () => {
+      const xml = collect(xmlChunks([records[0]], { columns: ['name', 'stateProvince', 'domains'] }));
+
+      expect(xml).toContain(
+        '<university><name>Test &amp; &lt;Sons&gt; University</name><stateProvince/>' +
+        '<domains><domain>test.edu</domain><domain>alumni.test.edu</domain></domains></university>'
+      );
+    });
+
+    it('should drop characters that XML cannot represent', () => {
+      const xml = collect(xmlChunks([{ ...records[1], name: 'Bad\u0001Name' }], { columns: ['name'] }));
+
+      expect(xml).toContain('<name>BadName</name>');
+    });
+  });
+
+  describe('columnar', () => {
+    it('should lay out one array per column with a schema', () => {
+      const document = JSON.parse(collect(columnarChunks(records, { columns: ['id', 'stateProvince', 'webPages'] })));
+
+      expect(document).toEqual({
+        format: 'columnar',
+        version: 1,
+        rowCount: 2,
+        schema: [
+          { name: 'id', type: 'string', nullable: true },
+          { name: 'stateProvince', type: 'string', nullable: true },
+          { name: 'webPages', type: 'list<string>', nullable: false }
+        ],
+        columns: {
+          id: ['test-university', 'other-university'],
+          stateProvince: [null, null],
+          webPages: [['https://test.edu'], []]
+        }
+      });
+    });
+  });
+
+  describe('XLSX', () => {
+    it('should write a worksheet that reads back with a header row', async () => {
+      const stream = new PassThrough();
+      const parts = [];
+      stream.on('data', part => parts.push(part));
+      await writeXlsx(records, { columns: ['name', 'domains'] }, stream);
+      const buffer = Buffer.concat(parts);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const sheet = workbook.getWorksheet('Universities');
+
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['name', 'domains']);
+      expect(sheet.getRow(2).values.slice(1)).toEqual(['Test & <Sons> University', 'test.edu; alumni.test.edu']);
+      expect(sheet.rowCount).toBe(3);
+    });
+
+    it('should wait for a slow destination to drain', async () => {
+      let consumed = 0;
+      function* many() {
+        for (; consumed < 20000; consumed++) {
+          yield { ...records[0], name: `University ${consumed}` };
+        }
+      }
+      const stream = new PassThrough({ highWaterMark: 1024 });
+
+      const writing = writeXlsx(many(), {}, stream);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      // Nothing reads the stream yet, so rows must not pile up behind it
+      expect(consumed).toBeLessThan(20000);
+
+      stream.resume();
+      await writing;
+      expect(consumed).toBe(20000);
+    });
+  });
+
+  describe('getFormat', () => {
+    it('should reject unknown formats', () => {
+      expect(() => getFormat('pdf')).toThrow("Unknown format 'pdf'");
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Shared fixtures and setup for the tests
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+/**
+ * A transformed university record
+ * @param {string} id - Record id, also used to derive the name and domains
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} University record
+ */
+function university(id, overrides = {}) {
+  return {
+    id,
+    name: `${id} University`,
+    country: 'United States',
+    alphaCode: 'US',
+    stateProvince: null,
+    domains: [`${id}.edu`],
+    webPages: [`https://${id}.edu`],
+    lastUpdated: '2025-05-16T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * A raw record in the Hipolabs format
+ * @param {number} i - Sequence number used to derive the name and domains
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Raw record
+ */
+function rawUniversity(i, overrides = {}) {
+  return {
+    name: `University ${i}`,
+    country: 'United States',
+    alpha_two_code: 'US',
+    'state-province': null,
+    domains: [`u${i}.edu`],
+    web_pages: [`https://u${i}.edu`],
+    ...overrides
+  };
+}
+
+/**
+ * Give every test in the current block its own temporary directory, removed
+ * afterwards. With `storage`, config.storage's directories point into it for
+ * the duration of the test, so services built in a later beforeEach write there.
+ * @param {string} prefix - Directory name prefix
+ * @param {Object} [options]
+ * @param {boolean} [options.storage=false] - Redirect config.storage into the directory
+ * @returns {Object} Holder whose `dir` is the current test's directory
+ */
+function useTempDir(prefix, { storage = false } = {}) {
+  const temp = { dir: null };
+  const original = { ...config.storage };
+
+  beforeEach(async () => {
+    temp.dir = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-`));
+    if (storage) {
+      Object.assign(config.storage, {
+        dataDir: temp.dir,
+        backupDir: path.join(temp.dir, 'backups'),
+        changesDir: path.join(temp.dir, 'changes'),
+        archiveDir: path.join(temp.dir, 'archive')
+      });
+    }
+  });
+
+  afterEach(async () => {
+    if (storage) {
+      Object.assign(config.storage, original);
+    }
+    await fs.rm(temp.dir, { recursive: true, force: true });
+  });
+
+  return temp;
+}
+
+module.exports = {
+  university,
+  rawUniversity,
+  useTempDir
+};
@@ -0,0 +1,496 @@
+/**
+ * Tests for the API routes wired to a shared application context
+ */
+
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const createApp = require('../../src/app');
+const { createContext } = require('../../src/context');
+const { CancelledError } = require('../../src/utils/errors');
+
+jest.mock('node-cron', () => ({
+  ...jest.requireActual('node-cron'),
+  schedule: jest.fn()
+}));
+
+describe('API routes', () => {
+  let context;
+  let app;
+  let job;
+
+  beforeEach(() => {
+    job = { stop: jest.fn() };
+    cron.schedule.mockReset();
+    cron.schedule.mockReturnValue(job);
+
+    context = createContext();
+    app = createApp(context);
+  });
+
+  afterEach(() => {
+    context.scheduler.stop();
+  });
+
+  describe('application context', () => {
+    it('should share one ETL service between the router and the scheduler', () => {
+      expect(context.scheduler.etl).toBe(context.etl);
+    });
+  });
+
+  describe('scheduler control', () => {
+    it('should stop the job started at boot', async () => {
+      context.scheduler.start();
+
+      const response = await request(app).post('/api/scheduler/stop');
+
+      expect(response.status).toBe(200);
+      expect(job.stop).toHaveBeenCalledTimes(1);
+      expect(context.scheduler.job).toBeNull();
+    });
+
+    it('should not schedule a second job when already started', async () => {
+      context.scheduler.start();
+
+      await request(app).post('/api/scheduler/start');
+
+      expect(cron.schedule).toHaveBeenCalledTimes(1);
+    });
+
+    it('should start the shared scheduler', async () => {
+      await request(app).post('/api/scheduler/start');
+
+      expect(context.scheduler.job).toBe(job);
+    });
+  });
+
+  describe('PUT /api/scheduler', () => {
+    it('should reschedule the running job', async () => {
+      context.scheduler.start();
+
+      const response = await request(app)
+        .put('/api/scheduler')
+        .send({ cron: '30 2 * * *', timezone: 'Europe/London' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ isRunning: true, cron: '30 2 * * *', timezone: 'Europe/London' });
+      expect(response.body.nextExecutions).toHaveLength(5);
+      expect(job.stop).toHaveBeenCalledTimes(1);
+      expect(cron.schedule).toHaveBeenLastCalledWith('30 2 * * *', expect.any(Function), {
+        scheduled: true,
+        timezone: 'Europe/London'
+      });
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      const response = await request(app).put('/api/scheduler').send({ cron: '61 * * * *' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/Invalid cron expression/);
+      expect(context.scheduler.cronExpression).toBe('0 0 * * *');
+    });
+
+    it('should reject an unknown timezone', async () => {
+      const response = await request(app).put('/api/scheduler').send({ timezone: 'Mars/Olympus' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Invalid timezone 'Mars/Olympus'");
+    });
+  });
+
+  describe('POST /api/etl/run', () => {
+    it('should reject a manual run while a scheduled run is in progress', async () => {
+      let finishRun;
+      jest.spyOn(context.etl, 'run').mockImplementation(() => new Promise(resolve => {
+        finishRun = resolve;
+      }));
+
+      const scheduledRun = context.scheduler.runETL();
+      const response = await request(app).post('/api/etl/run');
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'ETL already running' });
+      expect(context.etl.run).toHaveBeenCalledTimes(1);
+      expect(context.etl.run).toHaveBeenCalledWith({ trigger: 'scheduled' });
+
+      finishRun({ counts: { loaded: 0 } });
+      await scheduledRun;
+      expect(context.scheduler.running).toBe(false);
+    });
+
+    it('should start a background job and report its result', async () => {
+      const run = { id: 'run-1', trigger: 'manual', success: true, counts: { loaded: 2 } };
+      jest.spyOn(context.etl, 'run').mockImplementation(async ({ onProgress }) => {
+        onProgress({ runId: 'run-1', stage: 'load', counts: { extracted: 2, transformed: 2, loaded: 0 } });
+        return run;
+      });
+
+      const response = await request(app).post('/api/etl/run');
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/etl/jobs/${response.body.id}`);
+      expect(context.etl.run).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'manual' }));
+
+      const job = await request(app).get(`/api/etl/jobs/${response.body.id}`);
+
+      expect(job.body).toMatchObject({
+        status: 'completed',
+        stage: 'load',
+        runId: 'run-1',
+        progress: { extracted: 2, transformed: 2, loaded: 0 },
+        result: run
+      });
+    });
+
+    it('should cancel an in-flight job', async () => {
+      jest.spyOn(context.etl, 'run').mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          const error = new CancelledError();
+          error.run = { id: 'run-1', success: false, cancelled: true, error: 'Run cancelled' };
+          reject(error);
+        });
+      }));
+
+      const { body: started } = await request(app).post('/api/etl/run');
+      const cancel = await request(app).post(`/api/etl/jobs/${started.id}/cancel`);
+
+      expect(cancel.status).toBe(200);
+
+      const job = await request(app).get(`/api/etl/jobs/${started.id}`);
+
+      expect(job.body).toMatchObject({ status: 'cancelled', error: 'Run cancelled', result: { id: 'run-1', cancelled: true } });
+      expect(context.scheduler.running).toBe(false);
+
+      const again = await request(app).post(`/api/etl/jobs/${started.id}/cancel`);
+      expect(again.status).toBe(409);
+    });
+
+    it('should report the failed run and its error', async () => {
+      const error = new Error('Network error');
+      error.run = { id: 'run-1', success: false, error: 'Network error' };
+      jest.spyOn(context.etl, 'run').mockRejectedValue(error);
+
+      const { body: started } = await request(app).post('/api/etl/run');
+      const job = await request(app).get(`/api/etl/jobs/${started.id}`);
+
+      expect(job.body).toMatchObject({ status: 'failed', error: 'Network error', result: error.run });
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const response = await request(app).get('/api/etl/jobs/missing');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/backups/:name/restore', () => {
+    it('should reject a restore while a run is in progress', async () => {
+      let finishRun;
+      jest.spyOn(context.etl, 'run').mockImplementation(() => new Promise(resolve => {
+        finishRun = resolve;
+      }));
+      jest.spyOn(context.etl.load, 'restoreBackup');
+
+      const scheduledRun = context.scheduler.runETL();
+      const response = await request(app).post('/api/backups/universities-2025-05-16T00-00-00-000Z.json/restore');
+
+      expect(response.status).toBe(409);
+      expect(context.etl.load.restoreBackup).not.toHaveBeenCalled();
+
+      finishRun({ counts: { loaded: 0 } });
+      await scheduledRun;
+    });
+  });
+
+  describe('POST /api/etl/reprocess', () => {
+    it('should reprocess an archived payload in a background job', async () => {
+      jest.spyOn(context.etl.archive, 'get').mockResolvedValue({ id: 'run-1', records: 2 });
+      jest.spyOn(context.etl, 'run').mockResolvedValue({ id: 'run-2', trigger: 'reprocess', success: true, counts: { loaded: 2 } });
+
+      const response = await request(app).post('/api/etl/reprocess').send({ runId: 'run-1' });
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/etl/jobs/${response.body.id}`);
+      expect(context.etl.run).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'reprocess', archive: 'run-1' }));
+    });
+
+    it('should reject missing and unknown archives', async () => {
+      jest.spyOn(context.etl, 'run');
+      context.etl.archive.archiveDir = path.join(os.tmpdir(), 'no-archives');
+
+      const missing = await request(app).post('/api/etl/reprocess').send({});
+      const unknown = await request(app).post('/api/etl/reprocess').send({ runId: 'run-1' });
+
+      expect(missing.status).toBe(400);
+      expect(unknown.status).toBe(404);
+      expect(context.etl.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conditional data responses', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-'));
+      context.etl.load.storage.jsonPath = path.join(tmpDir, 'universities.json');
+      await fs.writeFile(context.etl.load.storage.jsonPath, JSON.stringify({
+        data: [
+          { id: 'test', name: 'Test University', country: 'Canada', stateProvince: 'Ontario', domains: ['test.ca'], webPages: [] },
+          { id: 'other', name: 'Other College', country: 'Canada', stateProvince: 'Quebec', domains: ['other.ca'], webPages: [] }
+        ],
+        metadata: {}
+      }));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should answer 304 when the dataset has not changed', async () => {
+      const first = await request(app).get('/api/data');
+
+      expect(first.status).toBe(200);
+      expect(first.headers.etag).toBeDefined();
+      expect(first.headers['last-modified']).toBeDefined();
+
+      const second = await request(app).get('/api/data').set('If-None-Match', first.headers.etag);
+
+      expect(second.status).toBe(304);
+    });
+
+    it('should serve the JSON download with validators', async () => {
+      const first = await request(app).get('/api/download/json');
+      const second = await request(app)
+        .get('/api/download/json')
+        .set('If-Modified-Since', first.headers['last-modified']);
+
+      expect(first.body.data).toHaveLength(2);
+      expect(second.status).toBe(304);
+    });
+
+    it('should give each negotiated format its own ETag', async () => {
+      const ndjson = await request(app).get('/api/download').set('Accept', 'application/x-ndjson');
+      const sameFormat = await request(app)
+        .get('/api/download')
+        .set('Accept', 'application/x-ndjson')
+        .set('If-None-Match', ndjson.headers.etag);
+      const otherFormat = await request(app)
+        .get('/api/download')
+        .set('Accept', 'application/json')
+        .set('If-None-Match', ndjson.headers.etag);
+
+      expect(sameFormat.status).toBe(304);
+      expect(otherFormat.status).toBe(200);
+      expect(otherFormat.headers.etag).not.toBe(ndjson.headers.etag);
+    });
+
+    it('should negotiate the export format from the Accept header', async () => {
+      const response = await request(app).get('/api/download').set('Accept', 'application/x-ndjson');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('application/x-ndjson');
+      expect(response.headers.vary).toMatch('Accept');
+      expect(response.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual(['test', 'other']);
+    });
+
+    it('should serve a named format with selected columns', async () => {
+      const response = await request(app).get('/api/download/xml?columns=id,domains&state=ontario');
+
+      expect(response.headers['content-type']).toMatch('application/xml');
+      expect(response.headers['content-disposition']).toMatch('.xml"');
+      expect(response.text).toContain('<university><id>test</id><domains><domain>test.ca</domain></domains></university>');
+    });
+
+    it('should apply the /api/data filters to streamed downloads', async () => {
+      const json = await request(app).get('/api/download/json?search=college');
+      const csv = await request(app).get('/api/download/csv?country=canada&state=quebec&columns=id');
+
+      expect(json.body.data.map(uni => uni.id)).toEqual(['other']);
+      expect(json.body.metadata).toMatchObject({ filters: { search: 'college' }, filteredRecords: 1 });
+      expect(csv.text).toBe('id\nother');
+    });
+
+    it('should stream XLSX workbooks', async () => {
+      const response = await request(app)
+        .get('/api/download/xlsx?search=test')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(response.body);
+
+      expect(workbook.getWorksheet('Universities').getRow(2).getCell(1).value).toBe('test');
+    });
+
+    it('should report duplicates from the dataset metadata', async () => {
+      await fs.writeFile(context.etl.load.storage.jsonPath, JSON.stringify({
+        data: [],
+        metadata: {
+          duplicates: {
+            policy: { idCollisions: 'merge', nearDuplicates: 'flag', nameSimilarity: 0.92 },
+            summary: { exact: 1, idCollisions: 0, nearDuplicates: 1, merged: 0, flagged: 2 },
+            groups: [
+              { type: 'exact', ids: ['a'], count: 2, action: 'removed' },
+              { type: 'nearDuplicate', ids: ['b', 'c'], records: [], reasons: [], action: 'flagged' }
+            ]
+          }
+        }
+      }));
+
+      const all = await request(app).get('/api/quality/duplicates');
+      const near = await request(app).get('/api/quality/duplicates?type=nearDuplicate');
+      const invalid = await request(app).get('/api/quality/duplicates?type=fuzzy');
+
+      expect(all.body).toMatchObject({ summary: { exact: 1, nearDuplicates: 1 }, total: 2 });
+      expect(near.body.groups.map(group => group.ids)).toEqual([['b', 'c']]);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should store overrides under the current id', async () => {
+      await fs.writeFile(context.etl.load.storage.jsonPath, JSON.stringify({
+        data: [{ id: 'test', name: 'Test University', country: 'Canada', stateProvince: null, domains: ['test.ca'], webPages: [] }],
+        metadata: {
+          identifiers: { aliases: { 'old-test': 'test' } },
+          overrides: { summary: {}, overrides: [{ id: 'test', status: 'applied', fields: {}, staleFields: [] }] }
+        }
+      }));
+      context.etl.overrides.path = path.join(tmpDir, 'overrides.json');
+
+      const created = await request(app).put('/api/overrides/old-test').send({ fields: { stateProvince: 'Ontario' } });
+      const listed = await request(app).get('/api/overrides');
+      const invalid = await request(app).put('/api/overrides/test').send({ fields: { id: 'x' } });
+      const unknown = await request(app).put('/api/overrides/missing').send({ fields: { stateProvince: 'Ontario' } });
+
+      expect(created.status).toBe(200);
+      expect(listed.body.overrides).toEqual([
+        expect.objectContaining({ id: 'test', fields: { stateProvince: 'Ontario' }, lastRun: expect.objectContaining({ status: 'applied' }) })
+      ]);
+      expect(invalid.status).toBe(400);
+      expect(unknown.status).toBe(404);
+    });
+
+    it('should reject unknown and unacceptable formats', async () => {
+      const unknown = await request(app).get('/api/download?format=pdf');
+      const unacceptable = await request(app).get('/api/download').set('Accept', 'application/pdf');
+
+      expect(unknown.status).toBe(400);
+      expect(unacceptable.status).toBe(406);
+    });
+
+    it('should reject repeated and unknown download parameters', async () => {
+      const repeated = await request(app).get('/api/download/csv?country=a&country=b');
+      const nested = await request(app).get('/api/download/csv?search[x]=1');
+      const unknown = await request(app).get('/api/download/csv?bogus=1');
+      const paged = await request(app).get('/api/download/json?limit=1');
+      const foreignOption = await request(app).get('/api/download/json?delimiter=tab');
+
+      for (const response of [repeated, nested, unknown, paged, foreignOption]) {
+        expect(response.status).toBe(400);
+      }
+      expect(repeated.body.error).toBe("Query parameter 'country' must be given once");
+      expect(unknown.body.error).toBe('Unknown query parameter(s): bogus');
+    });
+
+    it('should accept the options of the negotiated format', async () => {
+      const response = await request(app).get('/api/download?format=csv&delimiter=tab&columns=id,name&search=college');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('id\tname\nother\tOther College');
+    });
+  });
+
+  describe('quarantine review', () => {
+    let tmpDir;
+    let id;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-'));
+      context.etl.quarantine.path = path.join(tmpDir, 'quarantine.json');
+
+      const record = { name: 'X', country: 'Canada', alpha_two_code: 'CA', domains: ['x.ca'], web_pages: [] };
+      const result = await context.etl.transform.transformData([record]);
+      await context.etl.quarantine.record(result.metadata, 'run-1');
+      id = result.metadata.errors[0].fingerprint;
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should list and filter quarantined records', async () => {
+      const all = await request(app).get('/api/quarantine?status=pending');
+      const none = await request(app).get('/api/quarantine?code=MISSING_FIELD');
+      const invalid = await request(app).get('/api/quarantine?status=done');
+      const repeated = await request(app).get('/api/quarantine?country=a&country=b');
+
+      expect(all.body.entries.map(entry => entry.id)).toEqual([id]);
+      expect(none.body.total).toBe(0);
+      expect(invalid.status).toBe(400);
+      expect(repeated.status).toBe(400);
+    });
+
+    it('should accept valid fixes and overrides only', async () => {
+      const invalid = await request(app).put(`/api/quarantine/${id}/fix`).send({ record: { name: 'X' } });
+      const override = await request(app).post(`/api/quarantine/${id}/override`).send({ note: 'checked' });
+      const missing = await request(app).get('/api/quarantine/missing');
+
+      expect(invalid.status).toBe(400);
+      expect(override.status).toBe(200);
+      expect(override.body).toMatchObject({ status: 'overridden', override: { note: 'checked' } });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/etl/events', () => {
+    let server;
+
+    beforeEach(done => {
+      server = app.listen(0, done);
+    });
+
+    afterEach(done => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('should stream ETL and extraction events', done => {
+      const { port } = server.address();
+
+      http.get(`http://127.0.0.1:${port}/api/etl/events`, res => {
+        expect(res.headers['content-type']).toMatch('text/event-stream');
+
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+
+          if (!buffer.includes('event:')) {
+            context.etl.activeRun = { id: 'run-1' };
+            context.etl.extract.emit('retry', { label: 'Canada', attempt: 1, delay: 1000, error: 'Network error' });
+            return;
+          }
+
+          const frame = buffer.split('\n\n').find(part => part.startsWith('id: 1'));
+          const lines = frame.split('\n');
+          expect(lines[1]).toBe('event: extract:retry');
+          expect(JSON.parse(lines[2].slice('data: '.length))).toMatchObject({
+            type: 'extract:retry',
+            runId: 'run-1',
+            label: 'Canada',
+            attempt: 1
+          });
+          res.destroy();
+          done();
+        });
+      });
+    });
+  });
+});
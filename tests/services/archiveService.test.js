@@ -0,0 +1,68 @@
+/**
+ * Tests for ArchiveService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ArchiveService = require('../../src/services/archiveService');
+
+const extraction = (records = 2) => ({
+  source: 'hipolabs',
+  data: Array.from({ length: records }, (_, i) => ({ name: `University ${i}`, country: 'Canada' })),
+  countries: { Canada: { count: records } },
+  failures: [],
+  requests: [{ label: 'Canada', url: 'http://universities.hipolabs.com/search', params: { country: 'Canada' }, status: 200 }],
+  extractedAt: '2025-05-16T00:00:00.000Z'
+});
+
+describe('ArchiveService', () => {
+  let tmpDir;
+  let archive;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    archive = new ArchiveService();
+    archive.archiveDir = tmpDir;
+    archive.keepLast = 0;
+    archive.keepDays = 0;
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should store a compressed payload with its metadata and hash', async () => {
+    const metadata = await archive.save('run-1', extraction());
+
+    expect(metadata).toMatchObject({ id: 'run-1', source: 'hipolabs', records: 2, requests: extraction().requests });
+    expect(metadata.sha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const stored = JSON.parse(zlib.gunzipSync(await fs.readFile(path.join(tmpDir, 'run-1.json.gz'))));
+    expect(stored).toEqual(extraction().data);
+    expect(await archive.read('run-1')).toEqual({ ...extraction(), requests: metadata.requests });
+  });
+
+  it('should refuse payloads that no longer match their hash', async () => {
+    await archive.save('run-1', extraction());
+    await fs.writeFile(path.join(tmpDir, 'run-1.json.gz'), zlib.gzipSync('[]'));
+
+    await expect(archive.read('run-1')).rejects.toMatchObject({ status: 409, message: "Archive 'run-1' is corrupt: checksum mismatch" });
+  });
+
+  it('should report unknown archives as not found', async () => {
+    await expect(archive.get('missing')).rejects.toMatchObject({ status: 404 });
+    await expect(archive.get('../universities')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should keep only the newest archives', async () => {
+    archive.keepLast = 2;
+    for (const [id, day] of [['run-1', '14'], ['run-2', '15'], ['run-3', '16']]) {
+      await archive.save(id, { ...extraction(), extractedAt: `2025-05-${day}T00:00:00.000Z` });
+    }
+
+    expect((await archive.list()).map(entry => entry.id)).toEqual(['run-3', 'run-2']);
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['run-2.json.gz', 'run-2.meta.json', 'run-3.json.gz', 'run-3.meta.json']);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for BackupService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BackupService = require('../../src/services/backupService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const backupName = date => `universities-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+
+describe('BackupService', () => {
+  let backupService;
+
+  const writeBackup = async (date, records = 1) => {
+    const name = backupName(date);
+    const data = Array.from({ length: records }, (_, i) => ({ id: `uni-${i}` }));
+    await fs.writeFile(path.join(backupService.backupDir, name), JSON.stringify({ data }));
+    return name;
+  };
+
+  beforeEach(async () => {
+    backupService = new BackupService();
+    backupService.backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(backupService.backupDir, { recursive: true, force: true });
+  });
+
+  it('should list backups newest first with record counts', async () => {
+    const older = await writeBackup(new Date('2025-05-14T00:00:00.000Z'), 2);
+    const newer = await writeBackup(new Date('2025-05-15T00:00:00.000Z'), 3);
+    await fs.writeFile(path.join(backupService.backupDir, 'notes.txt'), 'ignored');
+
+    const backups = await backupService.list();
+
+    expect(backups.map(backup => backup.name)).toEqual([newer, older]);
+    expect(backups[0]).toMatchObject({ createdAt: '2025-05-15T00:00:00.000Z', recordCount: 3 });
+    expect(backups[0].size).toBeGreaterThan(0);
+  });
+
+  it('should keep only the newest backups', async () => {
+    backupService.keepLast = 2;
+    backupService.keepDays = 0;
+    const oldest = await writeBackup(new Date('2025-05-13T00:00:00.000Z'));
+    await writeBackup(new Date('2025-05-14T00:00:00.000Z'));
+    await writeBackup(new Date('2025-05-15T00:00:00.000Z'));
+
+    jest.spyOn(backupService, 'countRecords');
+
+    const deleted = await backupService.prune();
+
+    expect(deleted).toEqual([oldest]);
+    expect(backupService.countRecords).not.toHaveBeenCalled();
+    expect(await backupService.list()).toHaveLength(2);
+  });
+
+  it('should delete backups older than the retention window', async () => {
+    backupService.keepLast = 0;
+    backupService.keepDays = 7;
+    const stale = await writeBackup(new Date(Date.now() - 8 * DAY_MS));
+    await writeBackup(new Date(Date.now() - DAY_MS));
+
+    const deleted = await backupService.prune();
+
+    expect(deleted).toEqual([stale]);
+  });
+
+  it('should reject names outside the backup directory', async () => {
+    await expect(backupService.getPath('../universities.json')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for ChangeService
+ */
+
+const ChangeService = require('../../src/services/changeService');
+const { university, useTempDir } = require('../helpers');
+
+describe('ChangeService', () => {
+  let changeService;
+
+  beforeEach(() => {
+    changeService = new ChangeService();
+  });
+
+  describe('diff', () => {
+    it('should report added, removed and changed records by id', () => {
+      const previous = [
+        university('test'),
+        university('closed', { name: 'Closed College' }),
+        university('same', { name: 'Same College' })
+      ];
+      const current = [
+        university('test', { domains: ['test.edu', 'alumni.test.edu'], lastUpdated: '2025-05-17T00:00:00.000Z' }),
+        university('new', { name: 'New College' }),
+        university('same', { name: 'Same College', lastUpdated: '2025-05-17T00:00:00.000Z' })
+      ];
+
+      const report = changeService.diff(previous, current);
+
+      expect(report.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+      expect(report.added[0].id).toBe('new');
+      expect(report.removed[0].id).toBe('closed');
+      expect(report.changed[0]).toEqual({
+        id: 'test',
+        name: 'test University',
+        fields: {
+          domains: { from: ['test.edu'], to: ['test.edu', 'alumni.test.edu'] }
+        }
+      });
+    });
+
+    it('should treat everything as added on the first run', () => {
+      const report = changeService.diff([], [university('test')]);
+
+      expect(report.summary).toEqual({ added: 1, removed: 0, changed: 0, unchanged: 0 });
+    });
+  });
+
+  describe('save and get', () => {
+    const temp = useTempDir('changes');
+
+    beforeEach(() => {
+      changeService.changesDir = temp.dir;
+    });
+
+    it('should round-trip a report by run id', async () => {
+      const report = changeService.diff([], [university('test')]);
+
+      await changeService.save('run-1', report);
+
+      expect(await changeService.get('run-1')).toEqual({ runId: 'run-1', ...report });
+    });
+
+    it('should return null for unknown or malformed run ids', async () => {
+      expect(await changeService.get('missing')).toBeNull();
+      expect(await changeService.get('../universities')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for DatasetCache
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LoadService = require('../../src/services/loadService');
+const DatasetCache = require('../../src/services/datasetCache');
+const { FileStorage } = require('../../src/storage');
+
+const dataset = (...ids) => ({
+  data: ids.map(id => ({ id, name: id, domains: [`${id}.edu`], webPages: [] })),
+  metadata: { transformationDate: '2025-05-16T00:00:00.000Z' }
+});
+
+describe('DatasetCache', () => {
+  let tmpDir;
+  let load;
+  let cache;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dataset-'));
+    load = new LoadService(new FileStorage({ dataDir: tmpDir, jsonFile: 'universities.json' }));
+    cache = new DatasetCache({ load });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should return null when there is no dataset', async () => {
+    expect(await cache.get()).toBeNull();
+  });
+
+  it('should read the file once and serve later calls from memory', async () => {
+    await fs.writeFile(load.storage.jsonPath, JSON.stringify(dataset('a', 'b')));
+    const readData = jest.spyOn(load, 'readData');
+
+    const [first, second] = await Promise.all([cache.get(), cache.get()]);
+    const third = await cache.get();
+
+    expect(readData).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(third).toBe(first);
+    expect(first.index.findById('a').name).toBe('a');
+    expect(first.etag).toMatch(/^W\/"/);
+  });
+
+  it('should swap to a saved dataset without re-reading it', async () => {
+    await fs.writeFile(load.storage.jsonPath, JSON.stringify(dataset('a')));
+    await cache.get();
+
+    const saved = dataset('a', 'b');
+    await fs.writeFile(load.storage.jsonPath, JSON.stringify(saved));
+    const readData = jest.spyOn(load, 'readData');
+    load.emit('saved', saved);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const entry = await cache.get();
+
+    expect(readData).not.toHaveBeenCalled();
+    expect(entry.data).toBe(saved);
+  });
+
+  it('should reload when the file is changed externally', async () => {
+    await fs.writeFile(load.storage.jsonPath, JSON.stringify(dataset('a')));
+    const first = await cache.get();
+
+    await fs.writeFile(load.storage.jsonPath, JSON.stringify(dataset('a', 'b', 'c')));
+    const second = await cache.get();
+
+    expect(second).not.toBe(first);
+    expect(second.data.data).toHaveLength(3);
+    expect(second.etag).not.toBe(first.etag);
+  });
+});
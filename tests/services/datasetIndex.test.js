@@ -0,0 +1,55 @@
+/**
+ * Tests for DatasetIndex
+ */
+
+const DatasetIndex = require('../../src/services/datasetIndex');
+
+const stanford = {
+  id: 'united-states-california-stanford-university',
+  name: 'Stanford University',
+  domains: ['stanford.edu'],
+  webPages: ['https://www.stanford.edu/']
+};
+const sharedA = { id: 'shared-a', name: 'Shared A', domains: ['shared.edu'], webPages: [] };
+const sharedB = { id: 'shared-b', name: 'Shared B', domains: ['shared.edu'], webPages: [] };
+
+describe('DatasetIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new DatasetIndex([stanford, sharedA, sharedB]);
+  });
+
+  it('should find records by id', () => {
+    expect(index.findById(stanford.id)).toBe(stanford);
+    expect(index.findById('missing')).toBeNull();
+  });
+
+  it('should resolve former ids through aliases', () => {
+    const aliased = new DatasetIndex([stanford], { 'stanford-old': 'stanford-merged', 'stanford-merged': stanford.id });
+
+    expect(aliased.findById('stanford-old')).toBe(stanford);
+    expect(aliased.findById('toString')).toBeNull();
+  });
+
+  it('should resolve email addresses and subdomains to the parent domain', () => {
+    expect(index.findByDomain('Jane.Doe@CS.Stanford.edu')).toEqual({
+      domain: 'cs.stanford.edu',
+      matchedDomain: 'stanford.edu',
+      universities: [stanford]
+    });
+  });
+
+  it('should not fall back to a bare TLD', () => {
+    expect(index.findByDomain('unknown.edu').universities).toEqual([]);
+  });
+
+  it('should return every institution sharing a domain', () => {
+    expect(index.findByDomain('shared.edu').universities).toEqual([sharedA, sharedB]);
+  });
+
+  it('should find records by web page host or URL', () => {
+    expect(index.findByHost('stanford.edu').universities).toEqual([stanford]);
+    expect(index.findByHost('http://WWW.stanford.edu/admissions').universities).toEqual([stanford]);
+  });
+});
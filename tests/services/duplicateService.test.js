@@ -0,0 +1,104 @@
+/**
+ * Tests for DuplicateService
+ */
+
+const DuplicateService = require('../../src/services/duplicateService');
+const { university } = require('../helpers');
+
+const settings = overrides => ({ idCollisions: 'merge', nearDuplicates: 'flag', nameSimilarity: 0.9, ...overrides });
+
+describe('DuplicateService', () => {
+  it('should drop exact duplicates', () => {
+    const service = new DuplicateService(settings());
+
+    const { data, report } = service.process([
+      university('a'),
+      university('b'),
+      university('a', { lastUpdated: '2025-05-16T00:00:01.000Z' })
+    ]);
+
+    expect(data.map(record => record.id)).toEqual(['a', 'b']);
+    expect(report.summary).toMatchObject({ exact: 1, idCollisions: 0 });
+    expect(report.groups).toEqual([{ type: 'exact', ids: ['a'], count: 2, action: 'removed' }]);
+  });
+
+  it('should merge colliding ids', () => {
+    const service = new DuplicateService(settings());
+
+    const { data, report } = service.process([
+      university('a', { alphaCode: null }),
+      university('a', { domains: ['a.org'], stateProvince: 'Ohio' })
+    ]);
+
+    expect(data).toEqual([
+      university('a', { domains: ['a.edu', 'a.org'], stateProvince: 'Ohio', alphaCode: 'US' })
+    ]);
+    expect(report.summary).toMatchObject({ idCollisions: 1, merged: 1 });
+    expect(report.groups[0]).toMatchObject({ type: 'idCollision', ids: ['a'], action: 'merged' });
+  });
+
+  it('should keep colliding ids apart under suffixed ids when flagging', () => {
+    const service = new DuplicateService(settings({ idCollisions: 'flag', nearDuplicates: 'off' }));
+
+    const { data, report } = service.process([
+      university('a'),
+      university('a-2', { name: 'Other' }),
+      university('a', { domains: ['a.org'] })
+    ]);
+
+    expect(data.map(record => [record.id, record.qualityFlags])).toEqual([
+      ['a', ['idCollision']],
+      ['a-3', ['idCollision']],
+      ['a-2', undefined]
+    ]);
+    expect(report.groups[0]).toMatchObject({ type: 'idCollision', ids: ['a', 'a-3'], action: 'flagged' });
+  });
+
+  it('should flag near-duplicates sharing a domain or with similar names', () => {
+    const service = new DuplicateService(settings());
+
+    const { data, report } = service.process([
+      university('harvard', { name: 'Harvard University' }),
+      university('harvard-2', { name: 'HARVARD  university', domains: ['harvard-2.edu'] }),
+      university('mit', { name: 'Massachusetts Institute of Technology', domains: ['mit.edu'] }),
+      university('mit-alt', { name: 'MIT', domains: ['mit.edu', 'alum.mit.edu'] }),
+      university('yale', { name: 'Yale University' })
+    ]);
+
+    expect(data.filter(record => record.qualityFlags).map(record => record.id))
+      .toEqual(['harvard', 'harvard-2', 'mit', 'mit-alt']);
+    expect(report.summary).toMatchObject({ nearDuplicates: 2, flagged: 4 });
+    expect(report.groups.map(group => group.reasons)).toEqual([
+      [{ ids: ['harvard', 'harvard-2'], reason: 'similarName', score: 1 }],
+      [{ ids: ['mit', 'mit-alt'], reason: 'sharedDomain', domain: 'mit.edu' }]
+    ]);
+  });
+
+  it('should not match similar names in different states', () => {
+    const service = new DuplicateService(settings());
+
+    const { report } = service.process([
+      university('phoenix-az', { name: 'University of Phoenix', stateProvince: 'Arizona' }),
+      university('phoenix-ca', { name: 'University of Phoenix', stateProvince: 'California' })
+    ]);
+
+    expect(report.groups).toEqual([]);
+  });
+
+  it('should merge near-duplicates and remember the merged ids', () => {
+    const service = new DuplicateService(settings({ nearDuplicates: 'merge' }));
+
+    const { data } = service.process([
+      university('mit', { domains: ['mit.edu'] }),
+      university('mit-alt', { domains: ['mit.edu', 'alum.mit.edu'] })
+    ]);
+
+    expect(data).toHaveLength(1);
+    expect(data[0]).toMatchObject({ id: 'mit', domains: ['mit.edu', 'alum.mit.edu'], mergedIds: ['mit-alt'] });
+  });
+
+  it('should reject invalid policies', () => {
+    expect(() => new DuplicateService(settings({ idCollisions: 'keep' }))).toThrow("Invalid id collision policy 'keep'");
+    expect(() => new DuplicateService(settings({ nameSimilarity: 2 }))).toThrow("Invalid name similarity '2'");
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for ETLService running the whole pipeline against a mocked Hipolabs API
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const config = require('../../src/config');
+const ETLService = require('../../src/services/etlService');
+const { rawUniversity, useTempDir } = require('../helpers');
+
+jest.mock('axios');
+
+const universities = (count, ...extra) => [
+  ...Array.from({ length: count }, (_, i) => rawUniversity(i + 1)),
+  ...extra
+];
+
+describe('ETLService', () => {
+  const temp = useTempDir('etl', { storage: true });
+  let etl;
+
+  const respond = data => axios.mockResolvedValueOnce({ status: 200, data });
+
+  beforeEach(() => {
+    axios.mockReset();
+    etl = new ETLService();
+    jest.spyOn(etl.extract, 'sleep').mockResolvedValue();
+  });
+
+  it('should extract, transform and publish the dataset', async () => {
+    respond(universities(9, rawUniversity(10, { name: 'X' })));
+
+    const run = await etl.run();
+
+    expect(run).toMatchObject({
+      success: true,
+      counts: { extracted: 10, transformed: 9, loaded: 9 },
+      transformErrors: 1,
+      rawSchema: { invalidRecords: 0, issues: [], drift: { missing: [], unexpected: [] } },
+      guards: { passed: true },
+      quarantine: { quarantined: 1, added: 1 },
+      changes: { added: 9, removed: 0, changed: 0 }
+    });
+    expect(Object.keys(run.stages)).toEqual(['extract', 'transform', 'guard', 'load']);
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({ params: { country: 'United States' } }));
+
+    const published = await etl.dataset.get();
+    expect(published.data.data.map(record => record.name)).toContain('University 1');
+    await expect(fs.access(path.join(temp.dir, config.storage.csvFile))).resolves.toBeUndefined();
+    expect((await etl.history.recent(1))[0].id).toBe(run.id);
+    expect((await etl.quarantine.query()).entries[0]).toMatchObject({ code: 'QUALITY_RULE', lastRunId: run.id });
+  });
+
+  it('should archive the raw payload and reprocess it without the network', async () => {
+    const payload = universities(9, rawUniversity(10, { name: 'X' }));
+    respond(payload);
+    const extracted = await etl.run();
+
+    expect(await etl.archive.get(extracted.id)).toMatchObject({
+      source: 'hipolabs',
+      records: 10,
+      requests: [expect.objectContaining({ label: 'United States', params: { country: 'United States' }, status: 200, records: 10 })]
+    });
+
+    // Accept the rejected record, then replay the same payload
+    const [entry] = (await etl.quarantine.query()).entries;
+    await etl.quarantine.submitOverride(entry.id, { note: 'real name' });
+    axios.mockReset();
+
+    const reprocessed = await etl.run({ trigger: 'reprocess', archive: extracted.id });
+
+    expect(axios).not.toHaveBeenCalled();
+    expect(reprocessed).toMatchObject({ success: true, archive: extracted.id, counts: { extracted: 10, transformed: 10 } });
+    expect((await etl.archive.list()).map(archive => archive.id)).toEqual([extracted.id]);
+  });
+
+  it('should validate every raw record and report schema drift', async () => {
+    respond(universities(9, rawUniversity(10, { domains: 'u10.edu', campus: 'Main' })));
+
+    const run = await etl.run();
+
+    expect(run.success).toBe(true);
+    expect(run.rawSchema).toEqual({
+      invalidRecords: 1,
+      issues: [{ field: 'domains', message: 'must be array', records: 1, examples: [9] }],
+      drift: { missing: [], unexpected: ['campus'] }
+    });
+  });
+
+  it('should fail the extract stage when no record matches the schema', async () => {
+    respond([{ title: 'Not a university' }]);
+
+    await expect(etl.run()).rejects.toThrow('Invalid data from hipolabs source: no record matches the raw record schema');
+    expect((await etl.history.recent(1))[0]).toMatchObject({ success: false, failedStage: 'extract' });
+  });
+
+  it('should keep the published dataset when a guard blocks the run', async () => {
+    respond(universities(9));
+    await etl.run();
+
+    respond(universities(3));
+    const error = await etl.run().catch(failure => failure);
+
+    expect(error.message).toMatch(/^Publication blocked: Record count dropped 66\.67% from 9 to 3/);
+    expect(error.run).toMatchObject({ success: false, blocked: true, failedStage: 'guard' });
+    expect((await etl.dataset.get()).data.data).toHaveLength(9);
+  });
+
+  it('should quarantine the rejections of a blocked run', async () => {
+    respond(universities(9));
+    await etl.run();
+
+    respond(universities(3, rawUniversity(10, { name: 'X' })));
+    const error = await etl.run().catch(failure => failure);
+
+    expect(error.run).toMatchObject({ blocked: true, quarantine: { quarantined: 1, added: 1 } });
+    expect((await etl.quarantine.query()).entries).toEqual([
+      expect.objectContaining({ code: 'QUALITY_RULE', lastRunId: error.run.id })
+    ]);
+  });
+
+  it('should register ids before publishing and keep a published run successful', async () => {
+    jest.spyOn(etl.ids, 'save');
+    jest.spyOn(etl.load, 'saveData');
+    jest.spyOn(etl.changes, 'save').mockRejectedValue(new Error('disk full'));
+    respond(universities(9));
+
+    const run = await etl.run();
+
+    expect(run).toMatchObject({ success: true, counts: { loaded: 9 } });
+    expect(etl.ids.save.mock.invocationCallOrder[0]).toBeLessThan(etl.load.saveData.mock.invocationCallOrder[0]);
+  });
+
+  it('should accept an event listener per connected client without a leak warning', () => {
+    const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+    for (let i = 0; i < 20; i++) {
+      etl.on('event', () => {});
+    }
+
+    expect(warning).not.toHaveBeenCalled();
+    warning.mockRestore();
+  });
+
+  it('should merge overrides into the published records', async () => {
+    respond(universities(9));
+    const first = await etl.run();
+    const id = (await etl.dataset.get()).data.data[0].id;
+
+    await etl.overrides.put(id, { fields: { stateProvince: 'California' } });
+    respond(universities(9));
+    const second = await etl.run();
+
+    const record = (await etl.dataset.get()).data.data.find(candidate => candidate.id === id);
+    expect(first.overrides.total).toBe(0);
+    expect(second.overrides).toMatchObject({ total: 1, applied: 1 });
+    expect(record).toMatchObject({ stateProvince: 'California', overriddenFields: ['stateProvince'] });
+  });
+});
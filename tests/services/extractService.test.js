@@ -3,6 +3,7 @@
  */
 
 const ExtractService = require('../../src/services/extractService');
+const { HttpJsonSource } = require('../../src/sources');
 const axios = require('axios');
 
 // Mock axios
@@ -14,7 +15,9 @@ describe('ExtractService', () => {
 
   beforeEach(() => {
     extractService = new ExtractService();
-    jest.clearAllMocks();
+    jest.spyOn(extractService, 'sleep').mockResolvedValue();
+    mockedAxios.mockReset();
+    mockedAxios.isCancel.mockReset();
   });
 
   describe('extractData', () => {
@@ -37,8 +40,11 @@ describe('ExtractService', () => {
 
       const result = await extractService.extractData();
 
-      expect(result).toEqual(mockData);
+      expect(result.data).toEqual(mockData);
+      expect(result.countries).toEqual({ 'United States': { count: 1 } });
+      expect(result.failures).toEqual([]);
       expect(mockedAxios).toHaveBeenCalledTimes(1);
+      expect(mockedAxios.mock.calls[0][0].params).toEqual({ country: 'United States' });
     });
 
     it('should retry on failure and eventually succeed', async () => {
@@ -54,7 +60,7 @@ describe('ExtractService', () => {
 
       const result = await extractService.extractData();
 
-      expect(result).toEqual(mockData);
+      expect(result.data).toEqual(mockData);
       expect(mockedAxios).toHaveBeenCalledTimes(2);
     });
 
@@ -69,7 +75,7 @@ describe('ExtractService', () => {
     });
 
     it('should validate response format', async () => {
-      mockedAxios.mockResolvedValueOnce({
+      mockedAxios.mockResolvedValue({
         data: 'invalid response',
         status: 200
       });
@@ -78,6 +84,94 @@ describe('ExtractService', () => {
         'Invalid response format: expected array of universities'
       );
     });
+
+    it('should merge multiple countries and keep going when one fails', async () => {
+      extractService.source.countries = [{ name: 'Canada' }, { name: 'Atlantis' }, { name: 'Mexico' }];
+
+      mockedAxios.mockImplementation(({ params }) => {
+        if (params.country === 'Atlantis') {
+          return Promise.reject(new Error('Network error'));
+        }
+        return Promise.resolve({
+          data: [{ name: `University of ${params.country}`, country: params.country }],
+          status: 200
+        });
+      });
+
+      const result = await extractService.extractData();
+
+      expect(result.data.map(uni => uni.country)).toEqual(['Canada', 'Mexico']);
+      expect(result.countries.Canada).toEqual({ count: 1 });
+      expect(result.countries.Atlantis.count).toBe(0);
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].country).toBe('Atlantis');
+    });
+
+    it('should request every country when configured with all', async () => {
+      extractService.source.countries = [{ name: 'all', all: true }];
+      mockedAxios.mockResolvedValueOnce({ data: [], status: 200 });
+
+      const result = await extractService.extractData();
+
+      expect(mockedAxios.mock.calls[0][0].params).toEqual({});
+      expect(result.countries).toEqual({ all: { count: 0 } });
+    });
+
+    it('should apply per-country retry overrides', async () => {
+      extractService.source.countries = [{ name: 'Canada', retryAttempts: 1 }];
+      mockedAxios.mockRejectedValue(new Error('Network error'));
+
+      await expect(extractService.extractData()).rejects.toThrow(
+        'Failed to extract data after 1 attempts'
+      );
+      expect(mockedAxios).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should stop retrying when the request is aborted', async () => {
+      const controller = new AbortController();
+      mockedAxios.mockImplementation(() => {
+        controller.abort();
+        return Promise.reject(new Error('canceled'));
+      });
+      mockedAxios.isCancel.mockReturnValue(true);
+      extractService.source.countries = [{ name: 'Canada' }, { name: 'Mexico' }];
+
+      await expect(extractService.extractData({ signal: controller.signal })).rejects.toThrow('Run cancelled');
+
+      expect(mockedAxios).toHaveBeenCalledTimes(1);
+      expect(mockedAxios.mock.calls[0][0].signal).toBe(controller.signal);
+    });
+  });
+
+  describe('http-json source', () => {
+    it('should map records from a nested response body', async () => {
+      extractService = new ExtractService(new HttpJsonSource({
+        url: 'https://example.com/institutions',
+        dataPath: 'results',
+        mapping: { name: 'title', country: 'location.country', domains: 'emailDomains' }
+      }));
+
+      mockedAxios.mockResolvedValueOnce({
+        data: {
+          results: [
+            { title: 'Test University', location: { country: 'Canada' }, emailDomains: ['test.ca'] }
+          ]
+        },
+        status: 200
+      });
+
+      const result = await extractService.extractData();
+
+      expect(result.source).toBe('http-json');
+      expect(result.data[0]).toMatchObject({
+        name: 'Test University',
+        country: 'Canada',
+        domains: ['test.ca']
+      });
+      expect(result.countries).toEqual({ Canada: { count: 1 } });
+    });
   });
 
   describe('validateExtractedData', () => {
@@ -110,6 +204,28 @@ describe('ExtractService', () => {
       const result = extractService.validateExtractedData(emptyData);
       expect(result).toBe(true);
     });
+
+    it('should check every record, not just the first', () => {
+      const data = [
+        { name: 'Test University', country: 'United States', domains: ['test.edu'] },
+        { name: 'Other University', country: 'United States', domains: 'other.edu', web_pages: [] },
+        { name: 'Third University' }
+      ];
+
+      const report = extractService.validateRawSchema(data);
+
+      expect(report.valid).toBe(true);
+      expect(report.invalidRecords).toBe(2);
+      expect(report.issues).toEqual([
+        { field: 'domains', message: 'must be array', records: 1, examples: [1] },
+        { field: 'country', message: 'is required', records: 1, examples: [2] }
+      ]);
+      expect(report.drift).toEqual({
+        missing: ['alpha_two_code', 'state-province'],
+        unexpected: [],
+        fields: { name: 3, country: 2, domains: 2, web_pages: 1 }
+      });
+    });
   });
 
   describe('calculateRetryDelay', () => {
@@ -0,0 +1,91 @@
+/**
+ * Tests for IdRegistryService
+ */
+
+const path = require('path');
+const IdRegistryService = require('../../src/services/idRegistryService');
+const helpers = require('../helpers');
+
+const university = (id, overrides = {}) => helpers.university(id, {
+  name: 'Stanford University',
+  stateProvince: 'California',
+  domains: ['stanford.edu'],
+  webPages: [],
+  ...overrides
+});
+
+describe('IdRegistryService', () => {
+  const temp = helpers.useTempDir('ids');
+  let ids;
+
+  const run = async (records, options) => {
+    const result = await ids.assign(records, options);
+    await ids.save(result.registry);
+    return result;
+  };
+
+  beforeEach(() => {
+    ids = new IdRegistryService();
+    ids.path = path.join(temp.dir, 'id-registry.json');
+  });
+
+  it('should seed the registry from the published dataset', async () => {
+    const { data, report } = await run([university('stanford')], { seed: [university('stanford')] });
+
+    expect(data[0].id).toBe('stanford');
+    expect(report.matched.id).toBe(1);
+  });
+
+  it('should keep the id when the name is corrected upstream', async () => {
+    await run([university('stanford')]);
+
+    const { data, report, registry } = await run([
+      university('stanford-university-renamed', { name: 'Stanford Univ.', domains: ['stanford.edu', 'alumni.stanford.edu'] })
+    ]);
+
+    expect(data[0].id).toBe('stanford');
+    expect(report.renamed).toEqual([{ from: 'stanford-university-renamed', to: 'stanford', via: 'domain' }]);
+    expect(registry.aliases['stanford-university-renamed']).toBe('stanford');
+    expect(registry.entries.stanford.domains).toEqual(['stanford.edu', 'alumni.stanford.edu']);
+  });
+
+  it('should match by similar name when the domains changed', async () => {
+    await run([university('stanford')]);
+
+    const { data, report } = await run([university('stanford-2020', { name: 'Stanford  University', domains: ['stanford.org'] })]);
+
+    expect(data[0].id).toBe('stanford');
+    expect(report.matched.name).toBe(1);
+  });
+
+  it('should mint suffixed ids for new institutions whose slug is taken', async () => {
+    await run([university('springfield', { name: 'Springfield College', domains: ['spfldcol.edu'], stateProvince: 'Massachusetts' })]);
+
+    const { data, report } = await run([
+      university('springfield', { name: 'Springfield College', domains: ['spfldcol.edu'], stateProvince: 'Massachusetts' }),
+      university('springfield', { name: 'Springfield College', domains: ['springfield.il.us'], stateProvince: 'Illinois' })
+    ]);
+
+    expect(data.map(record => record.id)).toEqual(['springfield', 'springfield-2']);
+    expect(report).toMatchObject({ matched: { id: 1 }, minted: 1 });
+  });
+
+  it('should not give a registered id to a new record listed before its owner', async () => {
+    const harvard = university('united-states-harvard-university', { name: 'Harvard University', domains: ['harvard.edu'], stateProvince: 'Massachusetts' });
+    await run([harvard]);
+
+    const { data, report } = await run([
+      university('united-states-harvard-extension-school', { name: 'Harvard Extension School', domains: ['harvard.edu'], stateProvince: 'Massachusetts' }),
+      harvard
+    ]);
+
+    expect(data.map(record => record.id)).toEqual(['united-states-harvard-extension-school', 'united-states-harvard-university']);
+    expect(report).toMatchObject({ matched: { id: 1, domain: 0 }, minted: 1 });
+  });
+
+  it('should alias ids merged into another record', async () => {
+    const { registry } = await run([university('stanford', { mergedIds: ['stanford-duplicate'] })]);
+
+    expect(registry.aliases).toEqual({ 'stanford-duplicate': 'stanford' });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for LoadService writes and startup recovery
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LoadService = require('../../src/services/loadService');
+const { FileStorage, SqliteStorage } = require('../../src/storage');
+
+const dataset = (...ids) => ({
+  data: ids.map(id => ({ id, name: `${id} University`, country: 'Canada', domains: [`${id}.ca`], webPages: [] })),
+  metadata: { totalRecords: ids.length }
+});
+
+describe('LoadService', () => {
+  let tmpDir;
+  let load;
+
+  const writeBackup = async (timestamp, content) => {
+    const name = `universities-${timestamp}.json`;
+    await fs.writeFile(path.join(load.backups.backupDir, name), content);
+    return name;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'load-'));
+    load = new LoadService(new FileStorage({ dataDir: tmpDir, jsonFile: 'universities.json' }));
+    load.dataDir = tmpDir;
+    load.csvPath = path.join(tmpDir, 'universities.csv');
+    load.backupDir = path.join(tmpDir, 'backups');
+    load.backups.backupDir = load.backupDir;
+    load.archiveDir = path.join(tmpDir, 'archive');
+    load.manifests.path = path.join(tmpDir, 'manifest.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('saveData', () => {
+    it('should write a manifest tying the dataset, CSV and backup together', async () => {
+      await load.saveData(dataset('a'));
+      await load.saveData(dataset('a', 'b'));
+
+      const manifest = await load.manifests.read();
+
+      expect(manifest).toMatchObject({
+        version: 1,
+        storage: 'file',
+        records: 2,
+        dataset: { file: 'universities.json', sha256: expect.any(String) },
+        csv: { file: 'universities.csv', sha256: expect.any(String) },
+        backup: { name: expect.stringMatching(/^universities-.*\.json$/), sha256: expect.any(String) }
+      });
+      expect(manifest.dataset).toEqual(await load.storage.describe());
+      expect(manifest.csv).toEqual(await load.describeCsv());
+      expect((await fs.readdir(tmpDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should replace the CSV with a header-only file for an empty dataset', async () => {
+      await load.saveData(dataset('a'));
+      await load.saveData(dataset());
+
+      expect(await fs.readFile(load.csvPath, 'utf8')).not.toContain('a University');
+      expect((await fs.readFile(load.csvPath, 'utf8')).split('\n')).toHaveLength(1);
+      expect((await load.manifests.read()).csv).toEqual(await load.describeCsv());
+    });
+
+    it('should publish the records the storage kept when ids collide', async () => {
+      load.storage = new SqliteStorage({ sqliteFile: ':memory:' });
+      const saved = jest.fn();
+      load.on('saved', saved);
+
+      const result = await load.saveData(dataset('a', 'b', 'a'));
+      const stored = await load.readData();
+
+      expect(result.recordsLoaded).toBe(2);
+      expect(stored.data.map(record => record.id)).toEqual(['b', 'a']);
+      expect(saved).toHaveBeenCalledWith(stored);
+      expect((await load.manifests.read()).records).toBe(2);
+      expect((await fs.readFile(load.csvPath, 'utf8')).split('\n')).toHaveLength(3);
+
+      await load.storage.close();
+    });
+  });
+
+  describe('recover', () => {
+    it('should report an intact dataset', async () => {
+      await load.saveData(dataset('a'));
+
+      expect(await load.recover()).toEqual({ status: 'ok', records: 1 });
+    });
+
+    it('should report an empty store', async () => {
+      expect(await load.recover()).toEqual({ status: 'empty' });
+    });
+
+    it('should rebuild the CSV and manifest when they do not match the dataset', async () => {
+      await load.saveData(dataset('a'));
+      await fs.writeFile(load.csvPath, 'id\nstale');
+      await fs.writeFile(path.join(tmpDir, 'universities.json.123-abcd.tmp'), '{"data":');
+
+      const result = await load.recover();
+
+      expect(result).toEqual({ status: 'repaired', records: 1 });
+      expect(await fs.readFile(load.csvPath, 'utf8')).toContain('a University');
+      expect(await load.recover()).toEqual({ status: 'ok', records: 1 });
+      expect(await fs.readdir(tmpDir)).not.toContain('universities.json.123-abcd.tmp');
+    });
+
+    it('should remove temporary files from the backup and archive directories', async () => {
+      await load.saveData(dataset('a'));
+      await fs.mkdir(load.archiveDir, { recursive: true });
+      await fs.writeFile(path.join(load.backupDir, 'universities-2025.json.123-abcd.tmp'), '{"data":');
+      await fs.writeFile(path.join(load.archiveDir, 'run-1.json.gz.123-abcd.tmp'), '');
+
+      expect(await load.recover()).toEqual({ status: 'ok', records: 1 });
+      expect((await fs.readdir(load.backupDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+      expect(await fs.readdir(load.archiveDir)).toEqual([]);
+    });
+
+    it('should fall back to the newest readable backup when the dataset is corrupt', async () => {
+      await load.saveData(dataset('a'));
+      await fs.mkdir(load.backups.backupDir, { recursive: true });
+      const valid = await writeBackup('2025-05-14T00-00-00-000Z', JSON.stringify(dataset('x', 'y')));
+      await writeBackup('2025-05-15T00-00-00-000Z', '{"data": [');
+      await fs.writeFile(load.storage.jsonPath, '{"data": [{"id": "a"');
+
+      const saved = jest.fn();
+      load.on('saved', saved);
+      const result = await load.recover();
+
+      expect(result).toMatchObject({ status: 'recovered', backup: valid, records: 2 });
+      expect(await load.readData()).toEqual(dataset('x', 'y'));
+      expect(saved).toHaveBeenCalledWith(dataset('x', 'y'));
+      expect((await load.manifests.read()).recoveredFrom).toBe(valid);
+      expect((await fs.readdir(tmpDir)).some(file => file.startsWith('universities.json.corrupt-'))).toBe(true);
+    });
+
+    it('should clear an unreadable dataset when no backup can be used', async () => {
+      await fs.writeFile(load.storage.jsonPath, 'not json');
+
+      const result = await load.recover();
+
+      expect(result.status).toBe('unrecoverable');
+      expect(await load.readData()).toBeNull();
+    });
+  });
+});
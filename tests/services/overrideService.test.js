@@ -0,0 +1,109 @@
+/**
+ * Tests for OverrideService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const OverrideService = require('../../src/services/overrideService');
+const TransformService = require('../../src/services/transformService');
+const QualityService = require('../../src/services/qualityService');
+
+const university = overrides => ({
+  id: 'stanford',
+  name: 'Stanford University',
+  country: 'United States',
+  alphaCode: 'US',
+  stateProvince: null,
+  domains: ['stanford.edu'],
+  webPages: [],
+  ...overrides
+});
+
+describe('OverrideService', () => {
+  const transform = new TransformService(new QualityService({ rules: {}, nameLength: { min: 2, max: 50 } }));
+  let tmpDir;
+  let overrides;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'overrides-'));
+    overrides = new OverrideService({ transform });
+    overrides.path = path.join(tmpDir, 'overrides.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should patch fields and record their provenance', async () => {
+    await overrides.put('stanford', {
+      fields: {
+        stateProvince: 'California',
+        domains: { add: ['Alumni.Stanford.edu'] },
+        webPages: ['stanford.edu']
+      },
+      note: 'missing upstream'
+    });
+
+    const { data, report } = await overrides.apply([university(), university({ id: 'other', name: 'Other' })]);
+
+    expect(data[0]).toMatchObject({
+      stateProvince: 'California',
+      domains: ['stanford.edu', 'alumni.stanford.edu'],
+      webPages: ['https://stanford.edu'],
+      overriddenFields: ['stateProvince', 'domains', 'webPages']
+    });
+    expect(data[1].overriddenFields).toBeUndefined();
+    expect(report.overrides[0]).toMatchObject({
+      id: 'stanford',
+      status: 'applied',
+      fields: { stateProvince: { source: null, override: 'California' } },
+      staleFields: []
+    });
+  });
+
+  it('should detect overrides the source now agrees with', async () => {
+    await overrides.put('stanford', { fields: { stateProvince: 'California', domains: { remove: ['old.stanford.edu'] } } });
+    await overrides.put('gone', { fields: { name: 'Gone University' } });
+
+    const partly = await overrides.apply([university({ stateProvince: 'California', domains: ['stanford.edu', 'old.stanford.edu'] })]);
+    const fully = await overrides.apply([university({ stateProvince: 'California' })]);
+
+    expect(partly.report.overrides[0]).toMatchObject({ status: 'applied', staleFields: ['stateProvince'] });
+    expect(partly.data[0].overriddenFields).toEqual(['domains']);
+    expect(fully.report.overrides[0]).toMatchObject({ status: 'stale', staleFields: ['stateProvince', 'domains'] });
+    expect(fully.data[0].overriddenFields).toBeUndefined();
+    expect(fully.report.summary).toMatchObject({ total: 2, applied: 0, stale: 1, orphaned: 1, staleFields: 2 });
+  });
+
+  it('should skip invalid overrides edited into the file', async () => {
+    await fs.writeFile(overrides.path, JSON.stringify({ version: 1, overrides: { stanford: { fields: { id: 'x' } } } }));
+
+    const { data, report } = await overrides.apply([university()]);
+
+    expect(data[0]).toEqual(university());
+    expect(report.overrides[0]).toMatchObject({ id: 'stanford', status: 'invalid' });
+  });
+
+  it('should validate submitted fields', async () => {
+    await expect(overrides.put('stanford', { fields: {} })).rejects.toThrow('at least one field');
+    await expect(overrides.put('stanford', { fields: { id: 'x' } })).rejects.toThrow("Field 'id' cannot be overridden");
+    await expect(overrides.put('stanford', { fields: { name: null } })).rejects.toThrow('non-empty string');
+    await expect(overrides.put('stanford', { fields: { domains: { add: 'x.edu' } } })).rejects.toThrow('array of strings');
+  });
+
+  it('should list overrides with the outcome of the last run and remove them', async () => {
+    await overrides.put('stanford', { fields: { stateProvince: 'California' } });
+    const { report } = await overrides.apply([university({ stateProvince: 'California' })]);
+
+    expect((await overrides.list({ status: 'stale' }, report)).overrides[0]).toMatchObject({
+      id: 'stanford',
+      fields: { stateProvince: 'California' },
+      lastRun: { status: 'stale' }
+    });
+    expect((await overrides.list({ status: 'applied' }, report)).total).toBe(0);
+
+    await overrides.remove('stanford');
+    await expect(overrides.get('stanford')).rejects.toThrow('No override');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for PublicationGuardService
+ */
+
+const PublicationGuardService = require('../../src/services/publicationGuardService');
+
+const candidate = ({ count = 100, failed = 0, drift = { missing: [], unexpected: [] }, previous = null } = {}) => ({
+  drift,
+  transformResult: {
+    data: Array.from({ length: count }, (_, i) => ({ id: `u-${i}` })),
+    metadata: { totalRecords: count + failed, failedTransformations: failed }
+  },
+  previous
+});
+
+describe('PublicationGuardService', () => {
+  const settings = { minRecords: 10, maxDropPercent: 25, maxErrorPercent: 10, schemaDrift: 'missing' };
+  const guards = new PublicationGuardService(settings);
+  const previous = Array.from({ length: 100 }, (_, i) => ({ id: `u-${i}` }));
+
+  it('should pass a healthy dataset and report the measured values', () => {
+    const report = guards.check(candidate({ count: 95, failed: 5, previous }));
+
+    expect(report).toEqual({
+      passed: true,
+      checks: { records: 95, dropPercent: 5, errorPercent: 5, schemaDrift: { missing: [], unexpected: [] } },
+      violations: []
+    });
+  });
+
+  it('should block empty and truncated extracts', () => {
+    const empty = guards.check(candidate({ count: 0, previous }));
+    const truncated = guards.check(candidate({ count: 60, previous }));
+
+    expect(empty.violations.map(violation => violation.guard)).toEqual(['minRecords', 'maxDropPercent']);
+    expect(truncated.passed).toBe(false);
+    expect(truncated.violations[0]).toMatchObject({ guard: 'maxDropPercent', limit: 25, actual: 40 });
+    expect(truncated.violations[0].message).toBe('Record count dropped 40% from 100 to 60, more than 25%');
+  });
+
+  it('should block a run that rejects too many records', () => {
+    const report = guards.check(candidate({ count: 80, failed: 20 }));
+
+    expect(report.violations).toEqual([
+      expect.objectContaining({ guard: 'maxErrorPercent', actual: 20, message: '20% of records were rejected, more than 10%' })
+    ]);
+  });
+
+  it('should apply the schema drift policy', () => {
+    const missing = { missing: ['web_pages'], unexpected: ['campus'] };
+    const added = { missing: [], unexpected: ['campus'] };
+
+    expect(guards.check(candidate({ drift: missing })).violations[0].message).toBe('Raw payload schema drift: missing web_pages');
+    expect(guards.check(candidate({ drift: added })).passed).toBe(true);
+
+    const strict = new PublicationGuardService({ ...settings, schemaDrift: 'any' });
+    expect(strict.check(candidate({ drift: added })).violations[0].actual).toEqual(added);
+  });
+
+  it('should skip guards set to 0 and reject unknown drift policies', () => {
+    const off = new PublicationGuardService({ minRecords: 0, maxDropPercent: 0, maxErrorPercent: 0, schemaDrift: 'off' });
+
+    expect(off.check(candidate({ count: 0, failed: 5, drift: { missing: ['name'], unexpected: ['title'] }, previous })).passed).toBe(true);
+    expect(() => new PublicationGuardService({ ...settings, schemaDrift: 'strict' })).toThrow("Invalid schema drift policy 'strict'");
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the data quality rules
+ */
+
+const QualityService = require('../../src/services/qualityService');
+
+const settings = (rules = {}) => ({ rules, nameLength: { min: 2, max: 50 } });
+
+const record = overrides => ({
+  id: 'united-states-california-test-university',
+  name: 'Test University',
+  country: 'United States',
+  alphaCode: 'US',
+  stateProvince: 'California',
+  domains: ['test.edu'],
+  webPages: ['https://www.test.edu/'],
+  ...overrides
+});
+
+describe('QualityService', () => {
+  const quality = new QualityService(settings());
+  const rulesFor = overrides => quality.evaluate(record(overrides)).map(issue => issue.rule);
+
+  it('should pass a clean record', () => {
+    expect(quality.evaluate(record())).toEqual([]);
+  });
+
+  it.each([
+    ['domainSyntax', { domains: ['test.edu', 'bad_domain.edu', '-lead.edu', 'localhost'] }],
+    ['webPageUrl', { webPages: ['https://test.edu', 'https://bad host.edu', 'ftp://test.edu'] }],
+    ['alphaCode', { alphaCode: 'ZZ', country: 'Nowhere' }],
+    ['alphaCodeCountry', { alphaCode: 'CA' }],
+    ['usState', { stateProvince: 'Ontario' }],
+    ['nameLength', { name: 'X' }]
+  ])('should report %s', (rule, overrides) => {
+    expect(rulesFor(overrides)).toEqual([rule]);
+  });
+
+  it('should accept country spelling variants and US state abbreviations', () => {
+    expect(rulesFor({ alphaCode: 'CI', country: "Cote d'Ivoire", stateProvince: null })).toEqual([]);
+    expect(rulesFor({ alphaCode: 'KR', country: 'Korea, Republic of', stateProvince: null })).toEqual([]);
+    expect(rulesFor({ stateProvince: 'NY' })).toEqual([]);
+  });
+
+  it('should check US states whatever the case of the alpha-2 code', () => {
+    expect(rulesFor({ alphaCode: 'us', stateProvince: 'Ontario' })).toContain('usState');
+  });
+
+  it('should skip optional fields that are absent', () => {
+    expect(rulesFor({ alphaCode: null, stateProvince: null, domains: [], webPages: [] })).toEqual([]);
+  });
+
+  it('should apply configured severities', () => {
+    const configured = new QualityService(settings({ usState: 'error', domainSyntax: 'off' }));
+
+    expect(configured.evaluate(record({ stateProvince: 'Ontario', domains: ['bad_domain'] }))).toEqual([
+      { rule: 'usState', severity: 'error', message: "Unknown US state 'Ontario'" }
+    ]);
+  });
+
+  it('should count hits, flagged and rejected records', () => {
+    const report = quality.createReport();
+
+    quality.tally(report, quality.evaluate(record({ alphaCode: 'CA' })));
+    quality.tally(report, quality.evaluate(record({ name: 'X', alphaCode: 'CA' })));
+    quality.tally(report, quality.evaluate(record()));
+
+    expect(report.rules.alphaCodeCountry).toEqual({ severity: 'warning', hits: 2 });
+    expect(report.rules.nameLength).toEqual({ severity: 'error', hits: 1 });
+    expect(report).toMatchObject({ flaggedRecords: 1, rejectedRecords: 1 });
+  });
+
+  it('should reject unknown rules and severities', () => {
+    expect(() => new QualityService(settings({ spelling: 'error' }))).toThrow("Unknown quality rule(s) 'spelling'");
+    expect(() => new QualityService(settings({ usState: 'fatal' }))).toThrow("Invalid severity 'fatal'");
+  });
+});
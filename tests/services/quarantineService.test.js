@@ -0,0 +1,101 @@
+/**
+ * Tests for QuarantineService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QuarantineService = require('../../src/services/quarantineService');
+const TransformService = require('../../src/services/transformService');
+const QualityService = require('../../src/services/qualityService');
+const { ValidationError } = require('../../src/utils/errors');
+
+const raw = overrides => ({
+  name: 'Test University',
+  country: 'United States',
+  alpha_two_code: 'US',
+  'state-province': 'California',
+  domains: ['test.edu'],
+  web_pages: ['https://test.edu'],
+  ...overrides
+});
+
+describe('QuarantineService', () => {
+  const transform = new TransformService(new QualityService({ rules: {}, nameLength: { min: 2, max: 50 } }));
+  let tmpDir;
+  let quarantine;
+
+  const run = async (records, runId = 'run-1') => {
+    const result = await transform.transformData(records, { replay: await quarantine.getReplay() });
+    await quarantine.record(result.metadata, runId);
+    return result;
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quarantine-'));
+    quarantine = new QuarantineService({ transform });
+    quarantine.path = path.join(tmpDir, 'quarantine.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should store rejected records once and count repeat occurrences', async () => {
+    await run([raw(), raw({ country: '' }), raw({ name: 'X' })]);
+    await run([raw({ country: '' })], 'run-2');
+
+    const page = await quarantine.query();
+    expect(page.total).toBe(2);
+
+    const missing = (await quarantine.query({ code: 'MISSING_FIELD' })).entries[0];
+    expect(missing).toMatchObject({ status: 'pending', occurrences: 2, lastRunId: 'run-2', record: raw({ country: '' }) });
+
+    const rule = await quarantine.query({ rule: 'nameLength', country: 'united states' });
+    expect(rule.entries.map(entry => entry.code)).toEqual(['QUALITY_RULE']);
+  });
+
+  it('should apply an accepted fix on the next run', async () => {
+    await run([raw({ country: '' })]);
+    const [entry] = (await quarantine.query()).entries;
+
+    await quarantine.submitFix(entry.id, { record: raw({ name: 'Fixed University' }), note: 'country was blank' });
+    const result = await run([raw({ country: '' })], 'run-2');
+
+    expect(result.data.map(record => record.name)).toEqual(['Fixed University']);
+    expect(await quarantine.get(entry.id)).toMatchObject({ status: 'fixed', occurrences: 1, lastRunId: 'run-2' });
+    expect((await quarantine.get(entry.id)).lastAppliedAt).toBeDefined();
+  });
+
+  it('should reject fixes that would still fail the transform', async () => {
+    await run([raw({ country: '' })]);
+    const [entry] = (await quarantine.query()).entries;
+
+    await expect(quarantine.submitFix(entry.id, { record: raw({ name: 'X' }) })).rejects.toThrow('still rejected');
+    await expect(quarantine.submitFix('missing', { record: raw() })).rejects.toThrow('not found');
+  });
+
+  it('should only allow overrides for quality rule rejections', async () => {
+    await run([raw({ country: '' }), raw({ name: 'X' })]);
+    const missing = (await quarantine.query({ code: 'MISSING_FIELD' })).entries[0];
+    const rule = (await quarantine.query({ code: 'QUALITY_RULE' })).entries[0];
+
+    await expect(quarantine.submitOverride(missing.id)).rejects.toMatchObject({ status: 409 });
+    await quarantine.submitOverride(rule.id, { note: 'real name' });
+
+    const result = await run([raw({ name: 'X' })], 'run-2');
+    expect(result.data[0].qualityFlags).toContain('qualityOverride');
+
+    await quarantine.reset(rule.id);
+    expect((await run([raw({ name: 'X' })], 'run-3')).data).toEqual([]);
+  });
+
+  it('should validate query parameters', async () => {
+    await expect(quarantine.query({ status: 'done' })).rejects.toThrow("Invalid status 'done'");
+    await expect(quarantine.query({ code: 'NOPE' })).rejects.toThrow("Invalid code 'NOPE'");
+    await expect(quarantine.query({ pageSize: 0 })).rejects.toThrow('Invalid pageSize');
+    await expect(quarantine.query({ country: ['a', 'b'] })).rejects.toThrow("Query parameter 'country' must be given once");
+    await expect(quarantine.query({ status: ['open', 'open'] })).rejects.toBeInstanceOf(ValidationError);
+    await expect(quarantine.query({ page: ['2'] })).rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for QueryService
+ */
+
+const QueryService = require('../../src/services/queryService');
+
+const universities = [
+  {
+    id: 'united-states-california-stanford-university',
+    name: 'Stanford University',
+    country: 'United States',
+    alphaCode: 'US',
+    stateProvince: 'California',
+    domains: ['stanford.edu'],
+    webPages: ['https://www.stanford.edu']
+  },
+  {
+    id: 'united-states-massachusetts-harvard-university',
+    name: 'Harvard University',
+    country: 'United States',
+    alphaCode: 'US',
+    stateProvince: 'Massachusetts',
+    domains: ['harvard.edu'],
+    webPages: ['https://www.harvard.edu']
+  },
+  {
+    id: 'canada-mcgill-university',
+    name: 'McGill University',
+    country: 'Canada',
+    alphaCode: 'CA',
+    stateProvince: null,
+    domains: ['mcgill.ca'],
+    webPages: ['https://www.mcgill.ca']
+  }
+];
+
+describe('QueryService', () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = new QueryService();
+  });
+
+  describe('execute', () => {
+    it('should filter, sort and paginate with links', () => {
+      const result = queries.execute(universities, { country: 'united states', sort: 'name', limit: '1' }, '/api/data');
+
+      expect(result).toMatchObject({
+        total: 2,
+        count: 1,
+        page: { limit: 1, offset: 0, hasMore: true },
+        links: {
+          self: '/api/data?country=united+states&sort=name&limit=1',
+          next: '/api/data?country=united+states&sort=name&limit=1&offset=1',
+          prev: null
+        }
+      });
+      expect(result.data[0].name).toBe('Harvard University');
+    });
+
+    it('should link back to the previous page', () => {
+      const result = queries.execute(universities, { offset: '2', limit: '2' }, '/api/data');
+
+      expect(result.count).toBe(1);
+      expect(result.page.hasMore).toBe(false);
+      expect(result.links.prev).toBe('/api/data?limit=2');
+    });
+
+    it('should sort descending and project fields', () => {
+      const result = queries.execute(universities, { sort: '-country,name', fields: 'id,country' }, '/api/data');
+
+      expect(result.data).toEqual([
+        { id: 'united-states-massachusetts-harvard-university', country: 'United States' },
+        { id: 'united-states-california-stanford-university', country: 'United States' },
+        { id: 'canada-mcgill-university', country: 'Canada' }
+      ]);
+    });
+  });
+
+  describe('filter', () => {
+    it('should filter by state, alpha code and domain TLD', () => {
+      const byState = queries.filter(universities, queries.parseFilters({ state: 'california' }));
+      const byCode = queries.filter(universities, queries.parseFilters({ alphaCode: 'ca' }));
+      const byTld = queries.filter(universities, queries.parseFilters({ tld: '.edu' }));
+
+      expect(byState.map(uni => uni.name)).toEqual(['Stanford University']);
+      expect(byCode.map(uni => uni.name)).toEqual(['McGill University']);
+      expect(byTld).toHaveLength(2);
+    });
+
+    it('should keep the existing substring search over names and domains', () => {
+      const result = queries.filter(universities, queries.parseFilters({ search: 'HARV' }));
+
+      expect(result.map(uni => uni.name)).toEqual(['Harvard University']);
+    });
+  });
+
+  describe('parse', () => {
+    it.each([
+      [{ limit: 'ten' }, "Invalid limit 'ten'"],
+      [{ limit: '0' }, "Invalid limit '0'"],
+      [{ offset: '-1' }, "Invalid offset '-1'"],
+      [{ sort: 'rank' }, "Invalid sort field 'rank'"],
+      [{ fields: 'id,secret' }, "Invalid field(s) 'secret'"],
+      [{ search: ' ' }, "Query parameter 'search' must not be empty"],
+      [{ q: 'stanford' }, 'Unknown query parameter(s): q'],
+      [{ country: ['Canada', 'Mexico'] }, "Query parameter 'country' must be given once"]
+    ])('should reject %j', (query, message) => {
+      expect(() => queries.parse(query)).toThrow(message);
+      expect(() => queries.parse(query)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for RunHistoryService
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RunHistoryService = require('../../src/services/runHistoryService');
+
+const run = (id, overrides = {}) => ({
+  id,
+  trigger: 'scheduled',
+  startedAt: '2025-05-16T00:00:00.000Z',
+  finishedAt: '2025-05-16T00:00:42.000Z',
+  duration: 42000,
+  success: true,
+  stages: { extract: { duration: 30000 }, transform: { duration: 2000 }, load: { duration: 10000 } },
+  counts: { extracted: 4500, transformed: 4498, loaded: 4498 },
+  transformErrors: 2,
+  ...overrides
+});
+
+describe('RunHistoryService', () => {
+  let history;
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    history = new RunHistoryService();
+    history.historyPath = path.join(tmpDir, 'runs.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should persist runs and return them newest first', async () => {
+    await history.append(run('first'));
+    await history.append(run('second'));
+
+    const reloaded = new RunHistoryService();
+    reloaded.historyPath = history.historyPath;
+
+    expect((await reloaded.recent(5)).map(entry => entry.id)).toEqual(['second', 'first']);
+  });
+
+  it('should filter by trigger, status and date', async () => {
+    await history.append(run('old', { startedAt: '2025-05-01T00:00:00.000Z' }));
+    await history.append(run('manual', { trigger: 'manual' }));
+    await history.append(run('failed', { success: false, error: 'Network error' }));
+    await history.append(run('blocked', { success: false, blocked: true, error: 'Publication blocked' }));
+
+    expect((await history.query({ trigger: 'manual' })).runs.map(entry => entry.id)).toEqual(['manual']);
+    expect((await history.query({ status: 'failed' })).runs.map(entry => entry.id)).toEqual(['blocked', 'failed']);
+    expect((await history.query({ status: 'blocked' })).runs.map(entry => entry.id)).toEqual(['blocked']);
+    expect((await history.query({ from: '2025-05-10' })).total).toBe(3);
+  });
+
+  it('should paginate results', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await history.append(run(`run-${i}`));
+    }
+
+    const result = await history.query({ page: '2', pageSize: '2' });
+
+    expect(result).toMatchObject({ total: 5, page: 2, pageSize: 2, totalPages: 3 });
+    expect(result.runs.map(entry => entry.id)).toEqual(['run-3', 'run-2']);
+  });
+
+  it('should skip a truncated trailing line', async () => {
+    await history.append(run('complete'));
+    await fs.appendFile(history.historyPath, '{"id":"partial');
+
+    expect((await history.readAll()).map(entry => entry.id)).toEqual(['complete']);
+  });
+
+  it('should reject invalid query parameters', async () => {
+    await expect(history.query({ pageSize: 'lots' })).rejects.toMatchObject({ status: 400 });
+    await expect(history.query({ trigger: 'cron' })).rejects.toMatchObject({ status: 400 });
+    await expect(history.query({ from: 'yesterday' })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for SchedulerService
+ */
+
+const SchedulerService = require('../../src/services/schedulerService');
+
+describe('SchedulerService', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new SchedulerService({ etl: {} });
+  });
+
+  describe('getNextExecutions', () => {
+    it('should follow the cron expression', () => {
+      scheduler.cronExpression = '0 */6 * * *';
+
+      const executions = scheduler.getNextExecutions(3, new Date('2025-05-16T07:15:00.000Z'));
+
+      expect(executions).toEqual([
+        '2025-05-16T12:00:00.000Z',
+        '2025-05-16T18:00:00.000Z',
+        '2025-05-17T00:00:00.000Z'
+      ]);
+    });
+
+    it('should honour the timezone', () => {
+      scheduler.cronExpression = '0 0 * * *';
+      scheduler.timezone = 'America/New_York';
+
+      const [next] = scheduler.getNextExecutions(1, new Date('2025-05-16T12:00:00.000Z'));
+
+      expect(next).toBe('2025-05-17T04:00:00.000Z');
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should keep the current timezone when only the expression changes', () => {
+      expect(scheduler.updateSchedule({ cron: '15 3 * * 1' })).toEqual({ cron: '15 3 * * 1', timezone: 'UTC' });
+    });
+
+    it('should leave the schedule untouched when validation fails', () => {
+      expect(() => scheduler.updateSchedule({ cron: 'every day' })).toThrow('Invalid cron expression');
+      expect(scheduler.cronExpression).toBe('0 0 * * *');
+    });
+  });
+});
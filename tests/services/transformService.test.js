@@ -0,0 +1,74 @@
+/**
+ * Tests for TransformService
+ */
+
+const TransformService = require('../../src/services/transformService');
+const QualityService = require('../../src/services/qualityService');
+const { fingerprint } = require('../../src/quality/fingerprint');
+
+const raw = overrides => ({
+  name: 'Test University',
+  country: 'United States',
+  alpha_two_code: 'US',
+  'state-province': 'California',
+  domains: ['test.edu'],
+  web_pages: ['https://test.edu'],
+  ...overrides
+});
+
+describe('TransformService', () => {
+  const transform = new TransformService(new QualityService({ rules: {}, nameLength: { min: 2, max: 50 } }));
+
+  it('should flag warnings, reject errors and report rule hits in metadata', async () => {
+    const result = await transform.transformData([
+      raw(),
+      raw({ name: 'Flagged College', domains: ['not a domain'] }),
+      raw({ name: 'X' })
+    ]);
+
+    expect(result.data).toHaveLength(2);
+    expect(result.data[0].qualityFlags).toBeUndefined();
+    expect(result.data[1].qualityFlags).toEqual(['domainSyntax']);
+    expect(result.metadata.failedTransformations).toBe(1);
+    expect(result.metadata.errors[0]).toMatchObject({ index: 2, rules: ['nameLength'] });
+    expect(result.metadata.quality).toMatchObject({
+      flaggedRecords: 1,
+      rejectedRecords: 1,
+      rules: {
+        domainSyntax: { severity: 'warning', hits: 1 },
+        nameLength: { severity: 'error', hits: 1 },
+        usState: { severity: 'warning', hits: 0 }
+      }
+    });
+  });
+
+  it('should still reject records missing required fields', async () => {
+    const result = await transform.transformData([raw({ country: '' })]);
+
+    expect(result.data).toEqual([]);
+    expect(result.metadata.errors[0].error).toBe("Missing or invalid required field 'country'");
+  });
+
+  it('should tag rejections with a reason code and fingerprint', async () => {
+    const result = await transform.transformData([raw({ country: '' }), raw({ name: 'X' })]);
+
+    expect(result.metadata.errors.map(error => error.code)).toEqual(['MISSING_FIELD', 'QUALITY_RULE']);
+    expect(result.metadata.errors[1].fingerprint).toBe(fingerprint(raw({ name: 'X' })));
+  });
+
+  it('should replay quarantine fixes and overrides', async () => {
+    const broken = raw({ country: '' });
+    const short = raw({ name: 'X', domains: ['x.edu'] });
+    const replay = new Map([
+      [fingerprint(broken), { fix: raw({ name: 'Fixed University' }) }],
+      [fingerprint(short), { override: true }]
+    ]);
+
+    const result = await transform.transformData([broken, short], { replay });
+
+    expect(result.data.map(record => record.name)).toEqual(['Fixed University', 'X']);
+    expect(result.data[1].qualityFlags).toEqual(['nameLength', 'qualityOverride']);
+    expect(result.metadata.errors).toEqual([]);
+    expect(result.metadata.replayed).toEqual({ fixed: [fingerprint(broken)], overridden: [fingerprint(short)] });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for CsvFileSource
+ */
+
+const path = require('path');
+const CsvFileSource = require('../../src/sources/csvFileSource');
+const TransformService = require('../../src/services/transformService');
+
+const fixture = name => path.join(__dirname, '../fixtures', name);
+
+describe('CsvFileSource', () => {
+  it('should parse rows into Hipolabs records', async () => {
+    const source = new CsvFileSource({ path: fixture('universities.csv') });
+
+    const result = await source.extract();
+
+    expect(result.data).toHaveLength(2);
+    expect(result.data[1]).toEqual({
+      'name': 'College of Arts, Sciences',
+      'country': 'Canada',
+      'alpha_two_code': 'CA',
+      'state-province': null,
+      'domains': ['sample.ca', 'arts.sample.ca'],
+      'web_pages': ['https://sample.ca']
+    });
+  });
+
+  it('should feed the transform stage', async () => {
+    const source = new CsvFileSource({ path: fixture('universities.csv') });
+
+    const { data } = await source.extract();
+    const result = await new TransformService().transformData(data);
+
+    expect(result.metadata.failedTransformations).toBe(0);
+    expect(result.data[0].stateProvince).toBe('California');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for JsonFileSource
+ */
+
+const path = require('path');
+const JsonFileSource = require('../../src/sources/jsonFileSource');
+const TransformService = require('../../src/services/transformService');
+
+const fixture = name => path.join(__dirname, '../fixtures', name);
+
+describe('JsonFileSource', () => {
+  it('should read a bare array of Hipolabs records', async () => {
+    const source = new JsonFileSource({ path: fixture('universities.json') });
+
+    const result = await source.extract();
+
+    expect(result.data).toHaveLength(2);
+    expect(result.data[0].name).toBe('Test University');
+  });
+
+  it('should apply a data path and field mapping', async () => {
+    const source = new JsonFileSource({
+      path: fixture('institutions.json'),
+      dataPath: 'results',
+      mapping: { name: 'institution.title', country: 'nation', domains: 'emailDomains' }
+    });
+
+    const result = await source.extract();
+
+    expect(result.data[0]).toMatchObject({
+      name: 'Mapped Institute',
+      country: 'Mexico',
+      domains: ['mapped.mx']
+    });
+  });
+
+  it('should feed the transform stage', async () => {
+    const source = new JsonFileSource({ path: fixture('universities.json') });
+
+    const { data } = await source.extract();
+    const result = await new TransformService().transformData(data);
+
+    expect(result.metadata.failedTransformations).toBe(0);
+    expect(result.data[1].domains).toEqual(['sample.ca', 'college.sample.ca']);
+  });
+
+  it('should reject documents without a records array', async () => {
+    const source = new JsonFileSource({ path: fixture('institutions.json') });
+
+    await expect(source.extract()).rejects.toThrow('expected array of universities');
+  });
+
+  it('should require a path', () => {
+    expect(() => new JsonFileSource()).toThrow('JSON file source requires a path');
+  });
+});
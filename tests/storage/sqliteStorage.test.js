@@ -0,0 +1,118 @@
+/**
+ * Tests for the SQLite storage backend
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createStorage, SqliteStorage } = require('../../src/storage');
+const LoadService = require('../../src/services/loadService');
+const DatasetCache = require('../../src/services/datasetCache');
+const helpers = require('../helpers');
+
+const university = (id, overrides = {}) => helpers.university(id, {
+  country: 'Canada',
+  alphaCode: 'CA',
+  domains: [`${id}.ca`, `mail.${id}.ca`],
+  webPages: [`https://${id}.ca`],
+  ...overrides
+});
+
+describe('SqliteStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new SqliteStorage({ sqliteFile: ':memory:' });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should report no dataset before the first write', async () => {
+    expect(await storage.read()).toBeNull();
+    expect(await storage.stat()).toBeNull();
+  });
+
+  it('should round-trip records through the normalized tables', async () => {
+    const dataset = {
+      data: [university('b', { stateProvince: 'Ontario', flags: ['reviewed'] }), university('a')],
+      metadata: { totalRecords: 2 }
+    };
+
+    await storage.write(dataset);
+
+    expect(await storage.read()).toEqual(dataset);
+    expect(storage.db.prepare('SELECT domain FROM university_domains WHERE university_id = ?').pluck().all('b'))
+      .toEqual(['b.ca', 'mail.b.ca']);
+  });
+
+  it('should upsert changed records and delete missing ones', async () => {
+    await storage.write({ data: [university('a'), university('b')], metadata: {} });
+    const first = await storage.stat();
+
+    await storage.write({ data: [university('a', { name: 'Renamed', domains: ['a.ca'] })], metadata: {} });
+    const second = await storage.stat();
+
+    const { data } = await storage.read();
+    expect(data).toEqual([university('a', { name: 'Renamed', domains: ['a.ca'] })]);
+    expect(storage.db.prepare('SELECT COUNT(*) FROM university_web_pages').pluck().get()).toBe(1);
+    expect(second.version).not.toBe(first.version);
+    expect(second.etag).not.toBe(first.etag);
+  });
+
+  it('should store records sharing an id once and report the stored count', async () => {
+    const result = await storage.write({
+      data: [university('a'), university('b'), university('a', { name: 'Second A' })],
+      metadata: {}
+    });
+
+    expect(result).toEqual({ descriptor: await storage.describe(), records: 2 });
+    expect((await storage.read()).data.map(record => record.name)).toEqual(['b University', 'Second A']);
+  });
+
+  it('should only keep the index used to delete stale records', async () => {
+    await storage.write({ data: [university('a')], metadata: {} });
+
+    const indexes = storage.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL").pluck().all();
+    expect(indexes).toEqual(['universities_revision']);
+  });
+
+  it('should back up the stored dataset as JSON', async () => {
+    const backups = { save: jest.fn().mockResolvedValue('universities-backup.json') };
+
+    expect(await storage.backup(backups)).toBeNull();
+
+    await storage.write({ data: [university('a')], metadata: {} });
+
+    expect(await storage.backup(backups)).toBe('universities-backup.json');
+    expect(backups.save).toHaveBeenCalledWith({ data: [university('a')], metadata: {} });
+  });
+
+  it('should serve the dataset cache', async () => {
+    const load = new LoadService(storage);
+    const cache = new DatasetCache({ load });
+
+    await storage.write({ data: [university('a')], metadata: {} });
+    const entry = await cache.get();
+
+    expect(entry.index.findById('a')).toMatchObject({ name: 'a University' });
+    expect(await cache.get()).toBe(entry);
+  });
+});
+
+describe('createStorage', () => {
+  const temp = helpers.useTempDir('storage');
+
+  it('should create the configured backend', async () => {
+    const storage = createStorage({ type: 'sqlite', dataDir: temp.dir, sqliteFile: 'test.db' });
+
+    await storage.write({ data: [university('a')], metadata: {} });
+    await storage.close();
+
+    await expect(fs.access(path.join(temp.dir, 'test.db'))).resolves.toBeUndefined();
+  });
+
+  it('should reject unknown backends', () => {
+    expect(() => createStorage({ type: 'postgres' })).toThrow("Unknown storage type 'postgres'");
+  });
+});
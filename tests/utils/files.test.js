@@ -0,0 +1,47 @@
+/**
+ * Tests for the atomic file helpers
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, checksumFile } = require('../../src/utils/files');
+
+describe('files', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should replace the file and report the checksum of what was written', async () => {
+    const target = path.join(tmpDir, 'data.json');
+    await fs.writeFile(target, 'old');
+
+    const written = await writeFileAtomic(target, 'new content');
+
+    expect(await fs.readFile(target, 'utf8')).toBe('new content');
+    expect(written).toEqual(await checksumFile(target));
+    expect(written.size).toBe(11);
+  });
+
+  it('should keep the previous content and remove the temp file when the write fails', async () => {
+    const target = path.join(tmpDir, 'data.json');
+    await fs.writeFile(target, 'old');
+    jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(writeFileAtomic(target, 'new')).rejects.toThrow('disk full');
+
+    expect(await fs.readFile(target, 'utf8')).toBe('old');
+    expect(await fs.readdir(tmpDir)).toEqual(['data.json']);
+  });
+
+  it('should return null when hashing a missing file', async () => {
+    expect(await checksumFile(path.join(tmpDir, 'missing'))).toBeNull();
+  });
+});